@@ -0,0 +1,105 @@
+'use strict';
+
+// fields that make a lesson "different" between two syncs
+const FIELDS = ['start', 'end', 'subject', 'teacher', 'room', 'canceled', 'changeText'];
+
+function lessonKey(l) {
+  return `${l.date}|${l.period || l.start}|${l.classes || ''}|${l.groups || ''}|${l.type}`;
+}
+
+function lessonsOf(model) {
+  const byDate = new Map();
+  for (const day of ['today', 'tomorrow']) {
+    const d = model?.[day];
+    if (d?.date) byDate.set(d.date, { day, lessons: d.lessons || [], ferien: d.ferien || '' });
+  }
+  return byDate;
+}
+
+function brief(l) {
+  return {
+    date: l.date,
+    period: l.period,
+    start: l.start,
+    end: l.end,
+    subject: l.subject,
+    teacher: l.teacher,
+    room: l.room,
+    classes: l.classes || '',
+    info: l.info || '',
+    canceled: !!l.canceled,
+    changeText: l.changeText || '',
+  };
+}
+
+/**
+ * Compare two parsed models. Only dates present in both are compared,
+ * so a day rollover (tomorrow -> today) does not produce events.
+ * Returns a list of { day, date, kind, lesson, diff }, kind is one of
+ * added | removed | changed | ferien.
+ */
+function diffModels(prev, next) {
+  const events = [];
+  if (!prev || !next) return events;
+
+  const before = lessonsOf(prev);
+  const after = lessonsOf(next);
+
+  for (const [date, cur] of after) {
+    const old = before.get(date);
+    if (!old) continue;
+
+    if (old.ferien !== cur.ferien) {
+      events.push({ day: cur.day, date, kind: 'ferien', lesson: null, diff: { ferien: { from: old.ferien, to: cur.ferien } } });
+    }
+
+    const oldByKey = new Map(old.lessons.map(l => [lessonKey(l), l]));
+    const seen = new Set();
+
+    for (const l of cur.lessons) {
+      const key = lessonKey(l);
+      const o = oldByKey.get(key);
+      if (!o) {
+        events.push({ day: cur.day, date, kind: 'added', lesson: brief(l), diff: {} });
+        continue;
+      }
+      seen.add(key);
+
+      const diff = {};
+      for (const f of FIELDS) {
+        if ((o[f] ?? '') !== (l[f] ?? '')) diff[f] = { from: o[f] ?? '', to: l[f] ?? '' };
+      }
+      if (Object.keys(diff).length) events.push({ day: cur.day, date, kind: 'changed', lesson: brief(l), diff });
+    }
+
+    for (const [key, o] of oldByKey) {
+      if (!seen.has(key)) events.push({ day: cur.day, date, kind: 'removed', lesson: brief(o), diff: {} });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Events worth a push message: a lesson that became canceled or got a substitution.
+ */
+function isNotifiable(ev) {
+  if (!ev.lesson) return false;
+  if (ev.kind === 'added') return ev.lesson.canceled || !!ev.lesson.changeText;
+  if (ev.kind !== 'changed') return false;
+  return !!(ev.diff.canceled?.to || ev.diff.changeText?.to);
+}
+
+function formatEvent(ev) {
+  const l = ev.lesson || {};
+  const when = [l.date, l.start && `${l.start}-${l.end}`].filter(Boolean).join(' ');
+  const what = l.subject || '?';
+  if (ev.lesson?.canceled) return `${when} ${what}: Canceled`;
+  return `${when} ${what}: ${l.changeText || ev.kind}`;
+}
+
+module.exports = {
+  diffModels,
+  isNotifiable,
+  formatEvent,
+};
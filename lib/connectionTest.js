@@ -0,0 +1,118 @@
+'use strict';
+
+// "Verbindung testen" im Admin: Login-Kette mit den Formularwerten, ohne Session/Config zu speichern
+
+const { EdupageHttp } = require('./edupageHttp');
+const { EdupageClient } = require('./edupageClient');
+const { findStudents } = require('./students');
+const { parseTtItems, TABLES } = require('./timetable');
+const { zonedNow, addDays, schoolYear, systemTimeZone, isValidTimeZone } = require('./dates');
+
+const CAPTCHA_TEXT = /verdächtige|zusätzlich überprüfen|Text aus dem Bild|captcha/i;
+
+/**
+ * Run getData/getToken/login, read _gsh and students from the timetable page
+ * and load today/tomorrow for the given id (or the only student found).
+ * Uses its own cookies, the running adapter session is not touched.
+ *
+ * Returns { ok, status, message, subdomain, gsh, students, id, lessons, captchaUrl }
+ * status: ok | config | wrongPassword | captcha | noTimetable | error
+ */
+async function testConnection(cfg = {}, { log, transport, minInterval = 500, now = new Date() } = {}) {
+  const baseUrl = String(cfg.baseUrl || '').trim().replace(/\/+$/, '');
+  const subdomain = baseUrl.match(/^https?:\/\/([^./]+)\.edupage\.org/i)?.[1] || '';
+  const out = { ok: false, status: 'config', message: '', subdomain, gsh: '', students: [], id: '', lessons: 0, captchaUrl: '' };
+
+  if (!/^https?:\/\//i.test(baseUrl)) return { ...out, message: 'Please set baseUrl (e.g. https://myschool.edupage.org)' };
+  if (!cfg.username || !cfg.password) return { ...out, message: 'Please enter username and password' };
+
+  const http = new EdupageHttp({ baseUrl, log, transport, minInterval, maxRetries: 1 });
+  const client = new EdupageClient({ http, log });
+
+  try {
+    const md = await client.getLoginData().catch(() => null);
+    const guPath = md?.gu ? String(md.gu) : client.getTimetableRefererPath();
+
+    const tok = await client.getToken({ username: cfg.username, edupage: subdomain });
+    if (!tok?.token) return { ...out, status: 'wrongPassword', message: tok?.err?.error_text || 'Unknown user' };
+
+    const res = await client.login({
+      username: cfg.username,
+      password: cfg.password,
+      userToken: tok.token,
+      edupage: subdomain,
+      tu: md?.tu,
+      gu: guPath,
+      au: md?.au,
+    });
+    const errText = res?.err?.error_text || '';
+    if (CAPTCHA_TEXT.test(errText) || res?.needCaptcha === '1' || res?.captchaSrc) {
+      const src = String(res?.captchaSrc || '');
+      return {
+        ...out,
+        status: 'captcha',
+        message: 'EduPage asks for a captcha, log in once in the browser or solve it below after saving',
+        captchaUrl: src && !/^https?:/i.test(src) ? `${baseUrl}${src.startsWith('/') ? '' : '/'}${src}` : src,
+      };
+    }
+    if (res?.status !== 'OK') return { ...out, status: 'wrongPassword', message: errText || 'Login failed' };
+
+    const page = await client.warmUpTimetable({ guPath });
+    const gsh = String(cfg.gsh || '').trim() || client.extractGsh(page) || '';
+    const students = findStudents(md, res, page);
+    const type = TABLES[cfg.targetType] ? cfg.targetType : 'student';
+    const id = String(cfg.studentId || '').trim() || (type === 'student' && students.length === 1 ? students[0].id : '');
+    Object.assign(out, { gsh, students, id });
+
+    if (!gsh) return { ...out, status: 'noTimetable', message: 'Logged in, but no _gsh found on the timetable page' };
+    if (!id) {
+      return { ...out, ok: true, status: 'ok', message: students.length > 1 ? 'Logged in, please choose a student' : 'Logged in, no studentId set' };
+    }
+
+    const { date } = zonedNow(now, isValidTimeZone(cfg.timezone) ? cfg.timezone : systemTimeZone());
+    const tt = await client.currentttGetData({
+      args: [
+        null,
+        {
+          year: schoolYear(date, client.extractSchoolYear(page)),
+          datefrom: date,
+          dateto: addDays(date, 1),
+          table: TABLES[type],
+          id,
+          showColors: true,
+          showIgroupsInClasses: false,
+          showOrig: true,
+          log_module: 'CurrentTTView',
+        },
+      ],
+      gsh,
+      guPath,
+    });
+    const error = tt?.r?.error || tt?.error;
+    if (error || !Array.isArray(tt?.r?.ttitems ?? tt?.ttitems)) {
+      return { ...out, status: 'noTimetable', message: `Logged in, but no timetable for ${type} ${id}${error ? `: ${error}` : ''}` };
+    }
+
+    const { lessonsByDate } = parseTtItems(tt, { table: TABLES[type] });
+    out.lessons = [...lessonsByDate.values()].reduce((n, l) => n + l.length, 0);
+    return { ...out, ok: true, status: 'ok', message: `Connection OK, ${out.lessons} lessons today/tomorrow` };
+  } catch (e) {
+    const timetable = /currenttt/i.test(String(e?.message || ''));
+    return { ...out, status: timetable ? 'noTimetable' : 'error', message: String(e?.message || e) };
+  }
+}
+
+// Text für die Admin-Anzeige
+function formatResult(r) {
+  const lines = [r.message];
+  if (r.subdomain) lines.push(`School: ${r.subdomain}`);
+  if (r.gsh) lines.push(`_gsh: ${r.gsh}`);
+  if (r.students.length) lines.push(`Students: ${r.students.map(s => `${s.name || '?'} (${s.id})`).join(', ')}`);
+  if (r.captchaUrl) lines.push(`Captcha: ${r.captchaUrl}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  testConnection,
+  formatResult,
+};
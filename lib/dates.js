@@ -0,0 +1,125 @@
+'use strict';
+
+// Datum/Uhrzeit in der Zeitzone der Schule (nicht UTC wie toISOString)
+
+function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Local calendar date and wall clock time of `now` in `timeZone`.
+ * Returns { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function zonedNow(now = new Date(), timeZone = systemTimeZone()) {
+  const p = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(now)) p[type] = value;
+  return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+}
+
+// YYYY-MM-DD +/- n days (UTC arithmetic, no DST side effects)
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Montag der Woche von `date` (YYYY-MM-DD)
+function mondayOf(date) {
+  const wd = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7; // Mon=0
+  return addDays(date, -wd);
+}
+
+/**
+ * School year (start year, e.g. 2026 for 2026/27) of `date`.
+ * Derived from the school year turnover ('MM-DD', EduPage default 08-01).
+ * `year` is the year EduPage reports for the session; it is only used if `date` falls into it,
+ * without a known turnover the summer (July to September) counts to both years.
+ */
+function schoolYear(date, { year, turnover } = {}) {
+  const known = /^\d{2}-\d{2}$/.test(String(turnover || ''));
+  const t = known ? turnover : '08-01';
+  const y = Number(date.slice(0, 4));
+  const derived = date.slice(5) >= t ? y : y - 1;
+  const sy = Number(year);
+  if (sy > 2000 && !known && date >= `${sy}-07-01` && date <= `${sy + 1}-09-30`) return sy;
+  return derived;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 62;
+
+function isDate(s) {
+  return DATE_RE.test(s) && new Date(`${s}T00:00:00Z`).toISOString().slice(0, 10) === s;
+}
+
+/**
+ * Date range from user input: 'YYYY-MM-DD', 'YYYY-MM-DD..YYYY-MM-DD' (also '/' or ','),
+ * JSON '{"from":..,"to":..}' or an object { from, to }.
+ * Returns { from, to }, throws on invalid input or more than 62 days.
+ */
+function parseDateRange(input) {
+  let from;
+  let to;
+  if (input && typeof input === 'object') {
+    ({ from, to } = input);
+  } else {
+    const s = String(input ?? '').trim();
+    if (s.startsWith('{')) {
+      let o;
+      try {
+        o = JSON.parse(s);
+      } catch {
+        throw new Error(`Invalid date range: ${s}`);
+      }
+      ({ from, to } = o || {});
+    } else {
+      [from, to] = s.split(/\s*(?:\.\.|\/|,)\s*/);
+    }
+  }
+
+  from = String(from ?? '').trim();
+  to = String(to ?? '').trim() || from;
+  if (!isDate(from) || !isDate(to)) throw new Error(`Invalid date range, expected YYYY-MM-DD: ${from}${to !== from ? `..${to}` : ''}`);
+  if (to < from) throw new Error(`Invalid date range: ${to} is before ${from}`);
+  if (to > addDays(from, MAX_RANGE_DAYS - 1)) throw new Error(`Date range too long (max ${MAX_RANGE_DAYS} days)`);
+  return { from, to };
+}
+
+module.exports = {
+  systemTimeZone,
+  isValidTimeZone,
+  zonedNow,
+  addDays,
+  mondayOf,
+  schoolYear,
+  parseDateRange,
+};
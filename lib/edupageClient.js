@@ -1,9 +1,17 @@
 'use strict';
 
+const { extractJsonArg, extractUserhome } = require('./pageData');
+
 class EdupageClient {
-  constructor({ http, log }) {
+  /**
+   * endpoints: remembered working variants ({ currenttt: '/timetable/...' })
+   * onEndpoint(name, path, label): called when a (new) variant was found
+   */
+  constructor({ http, log, endpoints = {}, onEndpoint = null }) {
     this.http = http;
     this.log = log;
+    this.endpoints = { ...(endpoints || {}) };
+    this.onEndpoint = onEndpoint;
 
     const baseUrl = (http?.baseUrl || '').trim();
     const m = baseUrl.match(/^https?:\/\/([^./]+)\.edupage\.org/i);
@@ -19,8 +27,9 @@ class EdupageClient {
     return await this.http.postForm(url, { rpcparams: JSON.stringify(params || {}) }, options);
   }
 
+  // Login-RPCs nicht wiederholen: ein Timeout kann trotzdem bei EduPage angekommen sein
   async getToken({ username, edupage }) {
-    return await this.rpcMainLogin('getToken', { username, edupage });
+    return await this.rpcMainLogin('getToken', { username, edupage }, { retry: false });
   }
 
   async login({ username, password, userToken, edupage, ctxt, tu, gu, au }) {
@@ -36,7 +45,7 @@ class EdupageClient {
         gu: gu ?? null,
         au: au ?? null,
       },
-      { timeout: 25000 }
+      { timeout: 25000, retry: false }
     );
   }
 
@@ -51,8 +60,7 @@ class EdupageClient {
     return await this.http.get(p, { headers: { Accept: 'text/html,*/*' } });
   }
 
-  async getGsh({ guPath } = {}) {
-    const html = await this.warmUpTimetable({ guPath });
+  extractGsh(html) {
     const s = typeof html === 'string' ? html : JSON.stringify(html);
 
     const m =
@@ -60,11 +68,73 @@ class EdupageClient {
       s.match(/\b_gsh\b\s*=\s*["']([0-9a-f]+)["']/i) ||
       s.match(/data-gsh=["']([0-9a-f]+)["']/i);
 
-    if (m?.[1]) return m[1];
+    return m?.[1] || null;
+  }
+
+  // Schuljahr aus den Seitendaten: { year, turnover } (beides optional)
+  extractSchoolYear(html) {
+    const s = typeof html === 'string' ? html : JSON.stringify(html);
+
+    const y =
+      s.match(/["']?(?:selectedYear|schoolyear|school_year)["']?\s*[:=]\s*["']?(\d{4})\b/i) ||
+      s.match(/["']dp["']\s*:\s*\{[^{}]*?["']year["']\s*:\s*["']?(\d{4})\b/);
+    const t = s.match(/["']?schoolyear_turnover["']?\s*[:=]\s*["'](\d{2}-\d{2})["']/i);
+
+    return { year: y ? Number(y[1]) : null, turnover: t?.[1] || null };
+  }
+
+  async getGsh({ guPath } = {}) {
+    const html = await this.warmUpTimetable({ guPath });
+    const gsh = this.extractGsh(html);
+    if (gsh) return gsh;
 
     throw new Error('Could not detect _gsh automatically (open timetable in browser once and try again).');
   }
 
+  // Dashboard mit userhome({...}): Timeline, Hausaufgaben, dbi
+  async getUserHome() {
+    const html = await this.http.get('/user/', { headers: { Accept: 'text/html,*/*' } });
+    const data = extractUserhome(html);
+    if (!data) throw this.pageError(html, 'No userhome data on /user/');
+    return data;
+  }
+
+  // Notenbuch: /znamky/ mit .znamkyStudentViewer({...})
+  async getGradeBook({ studentId } = {}) {
+    const q = studentId ? `?studentid=${encodeURIComponent(studentId)}` : '';
+    const html = await this.http.get(`/znamky/${q}`, { headers: { Accept: 'text/html,*/*' } });
+    const data = extractJsonArg(html, 'znamkyStudentViewer(');
+    if (!data) throw this.pageError(html, 'No grade book data on /znamky/');
+    return data;
+  }
+
+  // Speiseplan: /menu/ mit edupageData: {...}, date = 'YYYY-MM-DD'
+  async getLunchMenu({ date } = {}) {
+    const q = date ? `?date=${date.replace(/-/g, '')}` : '';
+    const html = await this.http.get(`/menu/${q}`, { headers: { Accept: 'text/html,*/*' } });
+    const data = extractJsonArg(html, 'edupageData:');
+    if (!data) throw this.pageError(html, 'No canteen data on /menu/');
+    return data;
+  }
+
+  // Seite ohne erwartete Daten: Login-Seite -> err.sessionExpired, sonst `message`
+  pageError(html, message) {
+    const expired = this.isSessionExpired(html);
+    const err = new Error(expired ? 'EduPage session expired' : message);
+    err.sessionExpired = expired;
+    return err;
+  }
+
+  // Antwort sieht nach abgelaufener Session aus (Login-Seite statt Daten)?
+  isSessionExpired(res) {
+    if (typeof res === 'string') {
+      return /MainLogin|login\/\?|name=["']password["']|"reload"\s*:\s*true/i.test(res);
+    }
+    const r = res?.r ?? res;
+    const err = String(r?.error || res?.error || res?.err?.error_text || '');
+    return !!(res?.reload || r?.reload || /login|prihl|anmeld|session/i.test(err));
+  }
+
   // ---- Timetable endpoint variations ----
   // EduPage ist nicht überall gleich: .js vs js, _func vs __func, currenttt vs curenttt
   getCurrentTtCandidates() {
@@ -85,7 +155,7 @@ class EdupageClient {
 
   // POST JSON: { args: [...], _gsh: "...." }
   // Wichtig: Referer & Origin mitschicken.
-  async currentttGetData({ args, gsh, guPath }) {
+  async currentttGetData({ args, gsh, guPath, eq }) {
     const payload = { args };
     if (gsh) payload._gsh = gsh;
 
@@ -100,30 +170,45 @@ class EdupageClient {
       Origin: origin,
     };
 
-    const candidates = this.getCurrentTtCandidates();
+    try {
+      return await this.withEndpoint('currenttt', this.getCurrentTtCandidates(), path =>
+        this.http.postJson(path, payload, { timeout: 25000, headers, ...(eq != null ? { eq } : {}) })
+      );
+    } catch (e) {
+      if (e?.status === 404) {
+        throw new Error('HTTP 404 on POST currenttt endpoint (tried multiple variants). Check if timetable is accessible for this account.');
+      }
+      throw e;
+    }
+  }
+
+  // ---- Endpunkt-Varianten: gemerkte zuerst, sonst der Reihe nach proben ----
+  async withEndpoint(name, candidates, request) {
+    const known = this.endpoints[name];
+    const ordered = [...candidates].sort((a, b) => (b.path === known) - (a.path === known));
 
     let lastErr = null;
-    for (const c of candidates) {
+    for (const c of ordered) {
       try {
-        const res = await this.http.postJson(c.path, payload, { timeout: 25000, headers });
-        // Erfolg -> zurück
+        const res = await request(c.path);
+        if (c.path !== known) {
+          this.endpoints[name] = c.path;
+          if (known) this.log?.info?.(`EduPage endpoint ${name}: "${known}" stopped working, now using ${c.label} (${c.path})`);
+          else this.log?.info?.(`EduPage endpoint ${name}: using ${c.label} (${c.path})`);
+          this.onEndpoint?.(name, c.path, c.label);
+        }
         return res;
       } catch (e) {
         lastErr = e;
-        const status = e?.response?.status;
-        // bei 404 probieren wir weiter; bei anderen Fehlern ebenfalls
-        if (status && status !== 404) {
-          // trotzdem weiter probieren, aber merken
-        }
+        // nur 404 heißt "falsche Variante"; alles andere (Retry lief schon im HTTP-Layer) abbrechen,
+        // statt EduPage mit weiteren Varianten zu bombardieren
+        const status = e?.status ?? e?.response?.status;
+        if (status !== 404) throw e;
+        if (c.path === known) this.log?.debug?.(`EduPage endpoint ${name}: remembered variant gives 404, probing again`);
       }
     }
 
-    // nichts hat geklappt -> saubere Fehlermeldung
-    const status = lastErr?.response?.status;
-    if (status === 404) {
-      throw new Error('HTTP 404 on POST currenttt endpoint (tried multiple variants). Check if timetable is accessible for this account.');
-    }
-    throw lastErr || new Error('Timetable request failed (unknown error)');
+    throw lastErr || new Error(`No ${name} endpoint variant`);
   }
 }
 
@@ -3,12 +3,63 @@
 const axios = require('axios').default;
 const { CookieJar } = require('tough-cookie');
 const { wrapper } = require('axios-cookiejar-support');
+const { buildEqBody, decodeEqap, decodeEqResponse, requestedEqav } = require('./eqav');
+
+const FORM_CT = 'application/x-www-form-urlencoded; charset=UTF-8';
+
+// vorübergehende Fehler: erneut versuchen (mit Backoff)
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRY_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_NETWORK']);
+
+// nach einer Ablehnung von eq später erneut versuchen
+const EQ_RETRY_AFTER = 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After header (seconds or HTTP date) -> ms, null if missing/invalid.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return Number(s) * 1000;
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : Math.max(0, t - now);
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^attempt, capped, randomized to 50-100%.
+ */
+function backoffDelay(attempt, { base = 1000, max = 60000, random = Math.random } = {}) {
+  const d = Math.min(max, base * 2 ** attempt);
+  return Math.round(d * (0.5 + random() / 2));
+}
 
 class EdupageHttp {
-  constructor({ baseUrl, log }) {
+  /**
+   * transport: 'plain' (default) or 'eq' (EduPage eqap/eqacs/eqaz/eqav wrapper, falls back to plain)
+   * minInterval: min. ms between two requests to the same host
+   * maxRetries / retryBase / retryMax: retries for 5xx, 429 and timeouts (per request off with { retry: false })
+   * eqRetryAfter: ms until eq is tried again after the server rejected it
+   */
+  constructor({ baseUrl, log, transport = 'plain', minInterval = 500, maxRetries = 3, retryBase = 1000, retryMax = 60000, eqRetryAfter = EQ_RETRY_AFTER }) {
     this.baseUrl = (baseUrl || '').trim().replace(/\/+$/, '');
     this.log = log;
 
+    this.minInterval = Math.max(0, Number(minInterval) || 0);
+    this.maxRetries = Math.max(0, Number(maxRetries) || 0);
+    this.retryBase = retryBase;
+    this.retryMax = retryMax;
+    this.hosts = new Map(); // host -> { queue: Promise, next: ms }
+    this.resetStats();
+
+    this.transport = transport === 'eq' ? 'eq' : 'plain';
+    this.eqav = 1;
+    this.maxEqav = 7;
+    this.eqFailed = false; // eq wurde abgelehnt -> plain bis eqFailedUntil / nächster Login
+    this.eqFailedUntil = 0;
+    this.eqRetryAfter = eqRetryAfter;
+
     this.jar = new CookieJar();
     this.http = wrapper(
       axios.create({
@@ -26,6 +77,201 @@ class EdupageHttp {
     );
   }
 
+  // ---- Scheduler: ein Request pro Host gleichzeitig, Mindestabstand, Retry mit Backoff ----
+  resetStats() {
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      lastStatus: 0,
+      lastDurationMs: 0,
+      avgDurationMs: 0,
+      waitedMs: 0,
+    };
+    this._durationSum = 0;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  _hostOf(url) {
+    try {
+      return new URL(url, this.baseUrl || 'http://localhost').host;
+    } catch {
+      return '';
+    }
+  }
+
+  // Reihenfolge pro Host einhalten und Abstand zwischen Requests wahren
+  _schedule(url, fn) {
+    const host = this._hostOf(url);
+    if (!this.hosts.has(host)) this.hosts.set(host, { queue: Promise.resolve(), next: 0 });
+    const h = this.hosts.get(host);
+
+    const run = async () => {
+      const wait = h.next - Date.now();
+      if (wait > 0) {
+        this.stats.waitedMs += wait;
+        await sleep(wait);
+      }
+      try {
+        return await fn();
+      } finally {
+        h.next = Math.max(h.next, Date.now() + this.minInterval);
+      }
+    };
+
+    const p = h.queue.then(run, run);
+    h.queue = p.catch(() => {});
+    return p;
+  }
+
+  _retryDelay(e, attempt) {
+    const status = e?.response?.status;
+    const retryable = RETRY_STATUS.has(status) || (!e?.response && RETRY_CODES.has(e?.code));
+    if (!retryable || attempt >= this.maxRetries) return null;
+
+    const after = parseRetryAfter(e?.response?.headers?.['retry-after']);
+    if (after != null) return Math.min(after, this.retryMax * 5);
+    return backoffDelay(attempt, { base: this.retryBase, max: this.retryMax });
+  }
+
+  // axios-Aufruf über den Scheduler, mit Retry (abschaltbar) und Statistik
+  async _send(method, url, args, { retry = true } = {}) {
+    const once = async () => {
+      const started = Date.now();
+      try {
+        const res = await this.http[method](url, ...args);
+        this._count(started, res.status);
+        return res;
+      } catch (e) {
+        this._count(started, e?.response?.status || 0, true);
+        throw e;
+      }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._schedule(url, once);
+      } catch (e) {
+        const delay = retry ? this._retryDelay(e, attempt) : null;
+        if (delay == null) throw e;
+
+        this.stats.retries++;
+        this.log?.debug?.(`${this._fmtErr(e)} – retry ${attempt + 1}/${this.maxRetries} in ${delay} ms`);
+        // Wartezeit gilt für den ganzen Host, nicht nur für diesen Request
+        const h = this.hosts.get(this._hostOf(url));
+        if (h) h.next = Math.max(h.next, Date.now() + delay);
+      }
+    }
+  }
+
+  _count(started, status, failed = false) {
+    const ms = Date.now() - started;
+    this.stats.requests++;
+    if (failed) this.stats.errors++;
+    this.stats.lastStatus = status;
+    this.stats.lastDurationMs = ms;
+    this._durationSum += ms;
+    this.stats.avgDurationMs = Math.round(this._durationSum / this.stats.requests);
+  }
+
+  // ---- eq-Protokoll ----
+  decodeEqapToQuerystring(eqap) {
+    return decodeEqap(eqap);
+  }
+
+  _useEq(options) {
+    if (this.eqFailed && Date.now() >= this.eqFailedUntil) this.resetEq();
+    if (this.eqFailed) return false;
+    return options.eq ?? this.transport === 'eq';
+  }
+
+  // eq wieder versuchen (nach Ablauf oder nach erfolgreichem Login)
+  resetEq() {
+    if (this.eqFailed) this.log?.debug?.('Trying eq transport again');
+    this.eqFailed = false;
+    this.eqFailedUntil = 0;
+  }
+
+  // Nur echte Ablehnung des Protokolls (4xx außer 404/408/429, nicht dekodierbar), kein Netzwerk-/Serverfehler
+  _isEqRejection(e) {
+    const status = e?.response?.status;
+    if (status) return status >= 400 && status < 500 && ![404, 408, 429].includes(status);
+    return !e?.code && !e?.request;
+  }
+
+  // POST mit eq-Wrapper; fragt der Server nach anderem eqav, einmal mit diesem wiederholen
+  async _postEq(url, innerBody, options = {}) {
+    const { eq, retry, ...axiosOptions } = options;
+    let eqav = this.eqav;
+
+    for (let attempt = 0; ; attempt++) {
+      const w = buildEqBody(innerBody, { eqav, maxEqav: this.maxEqav, useEncryption: true });
+      const body = new URLSearchParams({ eqap: w.eqap, eqacs: w.eqacs, eqaz: w.eqaz }).toString();
+      const sep = url.includes('?') ? '&' : '?';
+
+      const res = await this._send(
+        'post',
+        `${url}${sep}eqav=${eqav}&maxEqav=${this.maxEqav}`,
+        [
+          body,
+          {
+            ...axiosOptions,
+            responseType: 'text',
+            transformResponse: [d => d],
+            headers: {
+              ...(axiosOptions.headers || {}),
+              'Content-Type': FORM_CT,
+            },
+          },
+        ],
+        { retry }
+      );
+
+      const wanted = requestedEqav(decodeEqResponse(res.data));
+      if (wanted && wanted !== eqav && wanted <= this.maxEqav && attempt === 0) {
+        this.log?.debug?.(`EduPage asks for eqav=${wanted}`);
+        eqav = wanted;
+        this.eqav = wanted;
+        continue;
+      }
+      if (wanted) throw new Error(`eq protocol version ${wanted} not supported`);
+
+      return decodeEqResponse(res.data);
+    }
+  }
+
+  async _postMaybeEq(url, innerBody, options, plain) {
+    if (!this._useEq(options)) return await plain();
+
+    try {
+      return await this._postEq(url, innerBody, options);
+    } catch (e) {
+      // 404 = falscher Endpunkt, Timeout/5xx = Ausfall, beides nicht das Protokoll
+      if (!this._isEqRejection(e)) throw e?.response || e?.code ? this._wrapErr(e) : e;
+      this.eqFailed = true;
+      this.eqFailedUntil = Date.now() + this.eqRetryAfter;
+      this.log?.warn?.(`eq transport failed (${e?.response ? this._fmtErr(e) : e?.message || e}), falling back to plain requests`);
+      return await plain();
+    }
+  }
+
+  // ---- Session (Cookies) speichern / wiederherstellen ----
+  exportCookies() {
+    return this.jar.serializeSync();
+  }
+
+  importCookies(serialized) {
+    this.jar = serialized ? CookieJar.deserializeSync(serialized) : new CookieJar();
+    this.http.defaults.jar = this.jar;
+  }
+
+  clearCookies() {
+    this.importCookies(null);
+  }
+
   _fmtErr(e) {
     const status = e?.response?.status;
     const url = e?.config?.baseURL ? (e.config.baseURL + (e.config.url || '')) : (e?.config?.url || '');
@@ -33,48 +279,88 @@ class EdupageHttp {
     return e?.message || String(e);
   }
 
+  _wrapErr(e) {
+    const err = new Error(this._fmtErr(e));
+    err.status = e?.response?.status;
+    return err;
+  }
+
   async get(url, options = {}) {
+    const { retry, ...axiosOptions } = options;
     try {
-      const res = await this.http.get(url, options);
+      const res = await this._send('get', url, [axiosOptions], { retry });
       return res.data;
     } catch (e) {
-      throw new Error(this._fmtErr(e));
+      throw this._wrapErr(e);
     }
   }
 
-  async postJson(url, data, options = {}) {
+  // Binärdaten (z.B. Captcha-Bild) -> { data: Buffer, contentType }
+  async getBinary(url, options = {}) {
+    const { retry, ...axiosOptions } = options;
     try {
-      const res = await this.http.post(url, data, {
-        ...options,
-        headers: {
-          ...(options.headers || {}),
-          'Content-Type': 'application/json; charset=UTF-8',
-        },
-      });
-      return res.data;
+      const res = await this._send('get', url, [{ ...axiosOptions, responseType: 'arraybuffer' }], { retry });
+      return { data: Buffer.from(res.data), contentType: String(res.headers?.['content-type'] || '') };
     } catch (e) {
-      throw new Error(this._fmtErr(e));
+      throw this._wrapErr(e);
     }
   }
 
+  async postJson(url, data, options = {}) {
+    const { eq, retry, ...axiosOptions } = options;
+    return await this._postMaybeEq(url, JSON.stringify(data), options, async () => {
+      try {
+        const res = await this._send(
+          'post',
+          url,
+          [
+            data,
+            {
+              ...axiosOptions,
+              headers: {
+                ...(axiosOptions.headers || {}),
+                'Content-Type': 'application/json; charset=UTF-8',
+              },
+            },
+          ],
+          { retry }
+        );
+        return res.data;
+      } catch (e) {
+        throw this._wrapErr(e);
+      }
+    });
+  }
+
   async postForm(url, formObj, options = {}) {
-    try {
-      const body = new URLSearchParams();
-      for (const [k, v] of Object.entries(formObj || {})) body.append(k, String(v));
+    const { eq, retry, ...axiosOptions } = options;
+    const body = new URLSearchParams();
+    for (const [k, v] of Object.entries(formObj || {})) body.append(k, String(v));
 
-      const res = await this.http.post(url, body.toString(), {
-        ...options,
-        headers: {
-          ...(options.headers || {}),
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-          Accept: 'application/json, text/plain, */*',
-        },
-      });
-      return res.data;
-    } catch (e) {
-      throw new Error(this._fmtErr(e));
-    }
+    return await this._postMaybeEq(url, body.toString(), options, async () => {
+      try {
+        const res = await this._send(
+          'post',
+          url,
+          [
+            body.toString(),
+            {
+              ...axiosOptions,
+              headers: {
+                ...(axiosOptions.headers || {}),
+                'Content-Type': FORM_CT,
+                Accept: 'application/json, text/plain, */*',
+              },
+            },
+          ],
+          { retry }
+        );
+        return res.data;
+      } catch (e) {
+        throw this._wrapErr(e);
+      }
+    });
   }
 }
 
-module.exports = { EdupageHttp };
+module.exports = { EdupageHttp, parseRetryAfter, backoffDelay };
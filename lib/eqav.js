@@ -56,7 +56,56 @@ function unwrapEqResponseText(respText, { useEncryption = true } = {}) {
   return b64decodeToString(respText.slice(4));
 }
 
+/**
+ * Decode an eqap value back to the original (form encoded) body.
+ *  - 'dz:' + base64(deflateRaw(..))  or  plain base64
+ */
+function decodeEqap(eqap) {
+  const s = String(eqap || '');
+  if (s.startsWith('dz:')) {
+    return zlib.inflateRawSync(Buffer.from(s.slice(3), 'base64')).toString('utf8');
+  }
+  return b64decodeToString(s);
+}
+
+/**
+ * Full response decoding: "eqz:" unwrap, optional "dz:" inflate, JSON if possible.
+ */
+function decodeEqResponse(respText, { useEncryption = true } = {}) {
+  let text = unwrapEqResponseText(respText, { useEncryption });
+  if (typeof text !== 'string') return text;
+  if (text.startsWith('dz:')) text = decodeEqap(text);
+
+  const t = text.trim();
+  if (t.startsWith('{') || t.startsWith('[')) {
+    try {
+      return JSON.parse(t);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Server asks for another protocol version ("eqav:3" or { eqav: 3 } without data)?
+ * Returns the requested version or 0.
+ */
+function requestedEqav(resp) {
+  if (typeof resp === 'string') {
+    const m = resp.trim().match(/^eqav[:=](\d+)$/i);
+    return m ? Number(m[1]) : 0;
+  }
+  if (resp && typeof resp === 'object' && Object.keys(resp).length === 1 && Number(resp.eqav) > 0) {
+    return Number(resp.eqav);
+  }
+  return 0;
+}
+
 module.exports = {
   buildEqBody,
   unwrapEqResponseText,
+  decodeEqap,
+  decodeEqResponse,
+  requestedEqav,
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+'use strict';
+
+// Noten aus der Seite /znamky/ (.znamkyStudentViewer({...}))
+
+function lookup(table, id) {
+  if (!table || id == null) return null;
+  if (Array.isArray(table)) return table.find(x => String(x?.id) === String(id)) || null;
+  return table[id] || null;
+}
+
+function subjectName(data, dbi, id) {
+  const s = lookup(data?.dbi?.subjects, id) || lookup(data?.predmety, id) || lookup(dbi?.subjects, id);
+  return s ? (s.name || s.p_meno || s.short || String(id)) : String(id ?? '');
+}
+
+function teacherName(data, dbi, id) {
+  const t = lookup(data?.dbi?.teachers, id) || lookup(data?.ucitelia, id) || lookup(dbi?.teachers, id);
+  if (!t) return '';
+  return [t.firstname, t.lastname].filter(Boolean).join(' ').trim() || t.name || t.short || '';
+}
+
+// "2", "2-", "1+", "3,5" -> Zahl (Tendenz +/- wird ignoriert), sonst null
+function numericValue(v) {
+  const m = String(v ?? '').trim().match(/^(\d+(?:[.,]\d+)?)\s*[+-]?$/);
+  return m ? Number(m[1].replace(',', '.')) : null;
+}
+
+/**
+ * Grades of the grade book page data.
+ * Returns [{ id, subject, subjectId, value, numeric, weight, date, title, teacher }], newest first.
+ */
+function parseGrades(data, { dbi } = {}) {
+  const grades = Array.isArray(data?.vsetkyZnamky) ? data.vsetkyZnamky : [];
+  const events = data?.vsetkyUdalosti?.edupage || data?.vsetkyUdalosti || {};
+
+  return grades
+    .filter(g => g && g.data != null && g.data !== '')
+    .map(g => {
+      const ev = events[g.udalostid] || {};
+      const weight = Number(String(ev.p_vaha ?? g.vaha ?? 1).replace(',', '.'));
+      return {
+        id: String(g.znamkaid ?? `${g.udalostid}:${g.datum}`),
+        subject: subjectName(data, dbi, g.predmetid ?? ev.PredmetID),
+        subjectId: String(g.predmetid ?? ev.PredmetID ?? ''),
+        value: String(g.data),
+        numeric: numericValue(g.data),
+        weight: Number.isFinite(weight) && weight > 0 ? weight : 1,
+        date: String(g.datum || ev.datum || '').slice(0, 10),
+        title: ev.p_meno || g.poznamka || '',
+        teacher: teacherName(data, dbi, g.ucitelid ?? ev.UcitelID),
+      };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Per subject: { subject, latest, average, count } (weighted average of numeric grades).
+ */
+function gradesBySubject(grades) {
+  const out = new Map();
+  for (const g of grades) {
+    if (!out.has(g.subject)) out.set(g.subject, { subject: g.subject, latest: g.value, latestDate: g.date, average: null, count: 0, sum: 0, weights: 0 });
+    const s = out.get(g.subject);
+    s.count++;
+    if (g.date > s.latestDate) {
+      s.latest = g.value;
+      s.latestDate = g.date;
+    }
+    if (g.numeric != null) {
+      s.sum += g.numeric * g.weight;
+      s.weights += g.weight;
+    }
+  }
+
+  for (const s of out.values()) {
+    s.average = s.weights ? Math.round((s.sum / s.weights) * 100) / 100 : null;
+    delete s.sum;
+    delete s.weights;
+  }
+  return [...out.values()];
+}
+
+module.exports = {
+  parseGrades,
+  gradesBySubject,
+  numericValue,
+};
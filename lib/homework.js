@@ -0,0 +1,129 @@
+'use strict';
+
+const { parseData } = require('./pageData');
+
+// Hausaufgaben und Tests aus den userhome-Daten (Timeline "items" + "homeworks")
+
+const TEST_TYPES = /test|exam|pisomka|skuska/i;
+
+function dateOnly(v) {
+  const m = String(v || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return m ? m[1] : '';
+}
+
+function subjectName(dbi, id) {
+  const s = dbi?.subjects?.[id];
+  return s ? (s.name || s.short || '') : '';
+}
+
+function teacherName(dbi, id) {
+  const t = dbi?.teachers?.[id];
+  if (!t) return '';
+  return [t.firstname, t.lastname].filter(Boolean).join(' ').trim() || t.short || '';
+}
+
+// Empfänger eines Eintrags: Student1234/StudentOnly1234 oder die Klasse Trieda-41.
+// userid/vlastnik ist der Absender und sagt nichts über den Schüler.
+const RECIPIENT_KEYS = ['user', 'target_user', 'studentid'];
+
+function belongsTo(item, studentId, classId) {
+  if (!studentId) return true;
+  let scoped = false;
+  for (const key of RECIPIENT_KEYS) {
+    const to = String(item[key] ?? '');
+    const st = to.match(/^(?:Student(?:Only)?)?(-?\d+)$/);
+    const cl = to.match(/^Trieda(-?\d+)$/);
+    if (st) {
+      scoped = true;
+      if (st[1] === String(studentId)) return true;
+    } else if (cl) {
+      scoped = true;
+      // Klasse unbekannt: lieber anzeigen als verlieren
+      if (!classId || cl[1] === String(classId)) return true;
+    }
+  }
+  // Einträge ohne Schülerbezug gelten für alle
+  return !scoped;
+}
+
+/**
+ * Homework and test assignments from a userhome object.
+ * Returns [{ id, kind: 'homework'|'test', subject, title, description, due, teacher, done }]
+ */
+function parseAssignments(userhome, { studentId } = {}) {
+  const dbi = userhome?.dbi || {};
+  const classId = dbi.students?.[studentId]?.classid;
+  const out = new Map();
+
+  for (const it of Array.isArray(userhome?.items) ? userhome.items : []) {
+    const typ = String(it?.typ || it?.type || '');
+    const isHw = /homework|hw/i.test(typ);
+    const isTest = TEST_TYPES.test(typ);
+    if ((!isHw && !isTest) || !belongsTo(it, studentId, classId)) continue;
+
+    const d = parseData(it.data);
+    const id = String(it.itemid ?? it.id ?? d.hwkid ?? `${typ}:${it.timestamp}`);
+    out.set(id, {
+      id,
+      kind: isTest ? 'test' : 'homework',
+      subject: subjectName(dbi, d.subjectid ?? d.predmetid) || d.subject || '',
+      title: d.nazov || d.title || d.name || it.text || '',
+      description: d.popis || d.description || '',
+      due: dateOnly(d.date || d.datum || d.dueDate || it.cas_udalosti),
+      teacher: it.vlastnik_meno || teacherName(dbi, d.teacherid ?? d.ucitelid) || '',
+      done: !!(d.done || it.done || it.reakcia_done || String(d.stav || it.stav || '') === 'done'),
+    });
+  }
+
+  // eigene Liste "homeworks" (nicht bei allen Schulen)
+  for (const hw of Array.isArray(userhome?.homeworks) ? userhome.homeworks : []) {
+    if (!hw || !belongsTo(hw, studentId, classId)) continue;
+    const id = String(hw.hwkid ?? hw.id ?? '');
+    if (!id || out.has(id)) continue;
+    out.set(id, {
+      id,
+      kind: TEST_TYPES.test(String(hw.typ || '')) ? 'test' : 'homework',
+      subject: subjectName(dbi, hw.predmetid ?? hw.subjectid) || '',
+      title: hw.nazov || hw.name || '',
+      description: hw.popis || '',
+      due: dateOnly(hw.datum || hw.date),
+      teacher: teacherName(dbi, hw.ucitelid ?? hw.teacherid) || '',
+      done: !!(hw.done || hw.stav === 'done'),
+    });
+  }
+
+  return [...out.values()].sort((a, b) => (a.due || '9999').localeCompare(b.due || '9999'));
+}
+
+/**
+ * Attach the matching lesson (same subject on the due date) from the parsed days
+ * (Map<date, { lessons }> as returned by collectDays).
+ */
+function linkLessons(assignments, days) {
+  for (const a of assignments) {
+    const lessons = days.get(a.due)?.lessons || [];
+    const l = lessons.find(x => x.type === 'lesson' && a.subject && (x.subject === a.subject || x.subjectShort === a.subject));
+    a.lesson = l ? { date: l.date, period: l.period, start: l.start, end: l.end, room: l.room } : null;
+  }
+  return assignments;
+}
+
+/**
+ * Summary for the homework.* states.
+ */
+function summarize(assignments, { today, tomorrow }) {
+  const homework = assignments.filter(a => a.kind === 'homework');
+  const open = homework.filter(a => !a.done && (!a.due || a.due >= today));
+  return {
+    open: open.length,
+    dueTomorrow: open.filter(a => a.due === tomorrow).length,
+    list: homework.filter(a => !a.due || a.due >= today),
+    upcomingTests: assignments.filter(a => a.kind === 'test' && a.due && a.due >= today),
+  };
+}
+
+module.exports = {
+  parseAssignments,
+  linkLessons,
+  summarize,
+};
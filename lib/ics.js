@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+const { addDays, collectDays } = require('./timetable');
+
+// RFC 5545: Text escapen und Zeilen nach 75 Oktetten falten
+function escapeText(s) {
+  return String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const buf = Buffer.from(line, 'utf8');
+  if (buf.length <= 75) return line;
+
+  const parts = [];
+  let chunk = '';
+  let size = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, 'utf8');
+    if (size + n > limit) {
+      parts.push(chunk);
+      chunk = '';
+      size = 0;
+      limit = 74; // folgende Zeilen beginnen mit einem Leerzeichen
+    }
+    chunk += ch;
+    size += n;
+  }
+  parts.push(chunk);
+  return parts.join('\r\n ');
+}
+
+function dateValue(date) {
+  return date.replace(/-/g, '');
+}
+
+function dateTimeValue(date, time) {
+  return `${dateValue(date)}T${time.replace(':', '')}00`;
+}
+
+function utcStamp(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function uid(parts, domain) {
+  const h = crypto.createHash('sha1').update(parts.join('|'), 'utf8').digest('hex').slice(0, 16);
+  return `${h}@${domain}`;
+}
+
+/**
+ * Build an iCalendar document from a parsed model.
+ * Lessons use floating local times (no TZID), holidays/events are all-day events.
+ */
+function buildIcs(model, { name = 'EduPage', domain = 'edupage.iobroker', now = Date.now() } = {}) {
+  const stamp = utcStamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ioBroker//edupage//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const [date, day] of collectDays(model)) {
+    if (day.ferien) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid([date, 'allday', day.ferien], domain)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${dateValue(date)}`,
+        `DTEND;VALUE=DATE:${dateValue(addDays(date, 1))}`,
+        `SUMMARY:${escapeText(day.ferien)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+
+    const perSlot = new Map(); // mehrere Stunden im selben Slot (Gruppen) brauchen eigene UIDs
+    for (const l of day.lessons) {
+      if (!l.start || !l.end) continue;
+      const slot = [l.period || l.start, l.classes || '', l.groups || '', l.subject || '', l.type].join('|');
+      const n = perSlot.get(slot) || 0;
+      perSlot.set(slot, n + 1);
+
+      const desc = [l.teacher && `Teacher: ${l.teacher}`, l.classes && `Class: ${l.classes}`, l.changeText].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid([date, slot, n], domain)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${dateTimeValue(date, l.start)}`,
+        `DTEND:${dateTimeValue(date, l.end)}`,
+        `SUMMARY:${escapeText(l.subject || (l.type === 'event' ? 'Event' : 'Lesson'))}`
+      );
+      if (l.room) lines.push(`LOCATION:${escapeText(l.room)}`);
+      if (desc) lines.push(`DESCRIPTION:${escapeText(desc)}`);
+      lines.push(`STATUS:${l.canceled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildIcs,
+  escapeText,
+  foldLine,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+// Speiseplan / Essensbestellung aus der Seite /menu/ (edupageData: {...})
+
+/**
+ * Canteen data of the page data object ({ "<subdomain>": { novyListok, ... } } or the inner object).
+ */
+function canteenData(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.novyListok) return data;
+  return Object.values(data).find(v => v && typeof v === 'object' && v.novyListok) || null;
+}
+
+// evidencia.obj: "A" = Menü A bestellt, "AX"/"X" = abgemeldet
+function orderStatus(ev) {
+  const obj = String(ev?.obj ?? ev?.stav ?? '').trim().toUpperCase();
+  const signedOff = /X$/.test(obj);
+  return {
+    ordered: !!obj && !signedOff,
+    signedOff,
+    choice: signedOff ? '' : obj,
+  };
+}
+
+/**
+ * Lunch of one day ('YYYY-MM-DD').
+ * Returns { date, served, title, from, to, changeUntil, menus: [{ number, name, allergens, weight }], ordered, signedOff, choice }
+ */
+function parseLunchDay(data, date) {
+  const day = canteenData(data)?.novyListok?.[date] || {};
+  // "2" = Mittagessen (1 = Frühstück/Snack, 3 = Nachmittag)
+  const lunch = day['2'] || day[2] || null;
+  const served = !!lunch && lunch.isCooking !== false;
+
+  const rows = served && Array.isArray(lunch.rows) ? lunch.rows : [];
+  const menus = rows
+    .filter(r => r && (r.nazov || r.name))
+    .map(r => ({
+      number: String(r.menusStr || r.number || ''),
+      name: String(r.nazov || r.name).trim(),
+      allergens: String(r.alergenyStr || r.allergens || ''),
+      weight: String(r.hmotnostiStr || r.weight || ''),
+    }));
+
+  return {
+    date,
+    served,
+    title: served ? String(lunch.nazov || '') : '',
+    from: served ? String(lunch.vydaj_od || '') : '',
+    to: served ? String(lunch.vydaj_do || '') : '',
+    changeUntil: served ? String(lunch.zmen_do || '') : '',
+    menus,
+    ...(served ? orderStatus(lunch.evidencia) : { ordered: false, signedOff: false, choice: '' }),
+  };
+}
+
+/**
+ * One-line text for displays, e.g. "A: Nudeln | B: Salat".
+ */
+function menuText(day) {
+  return day.menus.map(m => (m.number ? `${m.number}: ${m.name}` : m.name)).join(' | ');
+}
+
+module.exports = {
+  parseLunchDay,
+  menuText,
+  canteenData,
+};
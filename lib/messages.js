@@ -0,0 +1,49 @@
+'use strict';
+
+const { parseData } = require('./pageData');
+
+// Nachrichten / Schwarzes Brett aus der Timeline (userhome "items")
+
+const MESSAGE_TYPES = /sprava|message|news|nastenka|oznam|notice|bulletin/i;
+
+function attachmentsOf(d, toUrl) {
+  const a = d.attachements || d.attachments || {};
+  if (Array.isArray(a)) {
+    return a
+      .map(x => (typeof x === 'string' ? { name: x.split('/').pop(), url: toUrl(x) } : { name: x?.name || '', url: toUrl(x?.src || x?.url || '') }))
+      .filter(x => x.url);
+  }
+  // { "/path/file.pdf": "file.pdf" }
+  return Object.entries(a).map(([src, name]) => ({ name: String(name || src.split('/').pop()), url: toUrl(src) }));
+}
+
+/**
+ * Messages from timeline items, newest first.
+ * Returns [{ id, type, sender, title, text, date, attachments: [{ name, url }] }]
+ */
+function parseMessages(items, { toUrl = x => x, limit = 20 } = {}) {
+  const list = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    const typ = String(it?.typ || it?.type || '');
+    if (!MESSAGE_TYPES.test(typ)) continue;
+    if (it.removed || it.pomocnyZaznam === '1') continue;
+
+    const d = parseData(it.data);
+    const text = String(d.messageContent || d.text || it.text || '').trim();
+    list.push({
+      id: String(it.itemid ?? it.id ?? `${typ}:${it.timestamp}`),
+      type: typ,
+      sender: it.vlastnik_meno || d.sender || '',
+      title: d.nazov || d.title || text.split('\n')[0].slice(0, 80),
+      text,
+      date: String(it.timestamp || it.cas_pridania || d.date || ''),
+      attachments: attachmentsOf(d, toUrl),
+    });
+  }
+
+  return list.sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit);
+}
+
+module.exports = {
+  parseMessages,
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+// Objekt-Verwaltung: Rollen, dynamische Stunden-Slots, Aufräumen nach Config-Änderungen
+
+// erste Ebene der Stundenplan-States (Root oder <folder>.<alias>.)
+const TARGET_ROOTS = new Set(['today', 'tomorrow', 'next', 'now', 'week', 'nextWeek', 'substitutions', 'events', 'export', 'homework', 'grades', 'custom']);
+const TARGET_FOLDERS = new Set(['students', 'teachers', 'classes', 'rooms']);
+
+const JSON_IDS = /(^|\.)(json|upcomingTests|lastChange|seenIds|grades\.latest|meta\.students|meta\.endpoint)$/;
+const DATE_KEYS = new Set(['date', 'dateFrom', 'dateTo', 'changeUntil']);
+const TIMESTAMP_KEYS = new Set(['lastSync', 'captchaUntil', 'lastFetch']); // ms; Uhrzeiten wie start/end sind Text
+
+/**
+ * ioBroker role of a read-only state from its id (relative or full) and type.
+ */
+function roleFor(id, type) {
+  const key = String(id).split('.').pop();
+  if (type === 'boolean') return 'indicator';
+  if (type === 'number' && TIMESTAMP_KEYS.has(key)) return 'value.time';
+  if (type === 'number') return 'value';
+  if (JSON_IDS.test(id)) return 'json';
+  if (DATE_KEYS.has(key)) return 'date';
+  if (key === 'captchaUrl') return 'text.url';
+  if (key === 'html') return 'html';
+  return 'text';
+}
+
+/**
+ * Is the object (id relative to the namespace) left over from an older configuration?
+ * ctx: { targets: [{ prefix, type }], weekView, nextWeek, maxLessons, homework, grades, lunch, messages }
+ * Unknown ids are never orphans.
+ */
+function isOrphan(id, ctx) {
+  const parts = String(id).split('.');
+  if (parts[0] === 'lunch') return !ctx.lunch;
+  if (parts[0] === 'messages') return !ctx.messages;
+
+  let target;
+  let rest;
+  if (TARGET_FOLDERS.has(parts[0])) {
+    if (parts.length === 1) return !ctx.targets.some(t => t.prefix.startsWith(`${parts[0]}.`));
+    target = ctx.targets.find(t => t.prefix === `${parts[0]}.${parts[1]}.`);
+    if (!target) return true;
+    rest = parts.slice(2);
+    if (!rest.length) return false;
+  } else if (TARGET_ROOTS.has(parts[0])) {
+    target = ctx.targets.find(t => t.prefix === '');
+    if (!target) return true;
+    rest = parts;
+  } else {
+    return false;
+  }
+
+  const isStudent = (target.type || 'student') === 'student';
+  if (rest[0] === 'week' && !ctx.weekView) return true;
+  if (rest[0] === 'nextWeek' && !ctx.nextWeek) return true;
+  if (rest[0] === 'homework' && !(ctx.homework && isStudent)) return true;
+  if (rest[0] === 'grades' && !(ctx.grades && isStudent)) return true;
+
+  const i = rest.indexOf('lessons');
+  return i >= 0 && rest.length > i + 1 && Number(rest[i + 1]) >= ctx.maxLessons;
+}
+
+/**
+ * Existing lesson slots per base ('today.lessons', 'students.a.week.monday.lessons', ...): Map<base, count>.
+ * Only slots without gaps from 0 count, missing ones are created again on demand.
+ */
+function slotCounts(ids) {
+  const found = new Map();
+  for (const id of ids) {
+    const m = String(id).match(/^(.*\blessons)\.(\d+)(?:\.|$)/);
+    if (!m) continue;
+    if (!found.has(m[1])) found.set(m[1], new Set());
+    found.get(m[1]).add(Number(m[2]));
+  }
+
+  const counts = new Map();
+  for (const [base, set] of found) {
+    let n = 0;
+    while (set.has(n)) n++;
+    counts.set(base, n);
+  }
+  return counts;
+}
+
+module.exports = {
+  roleFor,
+  isOrphan,
+  slotCounts,
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+// JSON-Argumente aus EduPage-Seiten holen, z.B. userhome({...}) oder .znamkyStudentViewer({...})
+
+/**
+ * Parse the first {...} object literal after `marker` in an HTML page.
+ * Returns null if the marker is missing or the JSON is broken.
+ */
+function extractJsonArg(html, marker) {
+  if (typeof html !== 'string') return null;
+  const i = html.indexOf(marker);
+  if (i < 0) return null;
+
+  const start = html.indexOf('{', i);
+  if (start < 0) return null;
+
+  // balanced braces, strings respected
+  let depth = 0;
+  let inStr = null;
+  for (let j = start; j < html.length; j++) {
+    const c = html[j];
+    if (inStr) {
+      if (c === '\\') j++;
+      else if (c === inStr) inStr = null;
+      continue;
+    }
+    if (c === '"' || c === "'") inStr = c;
+    else if (c === '{') depth++;
+    else if (c === '}' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(start, j + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function extractUserhome(html) {
+  return extractJsonArg(html, 'userhome(');
+}
+
+// "data" eines Timeline-Eintrags: Objekt oder JSON-String
+function parseData(d) {
+  if (!d) return {};
+  if (typeof d === 'object') return d;
+  try {
+    return JSON.parse(d);
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  extractJsonArg,
+  extractUserhome,
+  parseData,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const { extractUserhome } = require('./pageData');
+
+// EduPage user ids: Student1234, Rodic5678 (parent), Ucitel42 (teacher)
+const STUDENT_RE = /^Student(-?\d+)$/;
+const TIMELINE_KEYS = new Set(['items', 'homeworks']);
+
+function fullName(o) {
+  return [o.firstname, o.lastname].filter(Boolean).join(' ').trim() || o.name || o.meno || '';
+}
+
+/**
+ * Find students linked to the logged-in account.
+ * Sources can be the getData/login responses (objects) or the dashboard HTML.
+ * Returns [{ id, name, className }], unique by id.
+ */
+function findStudents(...sources) {
+  const found = new Map();
+  const add = (id, o = {}, className = '') => {
+    const key = String(id);
+    const prev = found.get(key);
+    const name = fullName(o);
+    if (!prev) found.set(key, { id: key, name, className });
+    else {
+      if (!prev.name && name) prev.name = name;
+      if (!prev.className && className) prev.className = className;
+    }
+  };
+
+  const classNameOf = (dbi, classid) => {
+    const c = dbi?.classes?.[classid];
+    return c ? (c.short || c.name || '') : '';
+  };
+
+  const walk = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 8) return;
+    if (Array.isArray(node)) {
+      for (const x of node) walk(x, depth + 1);
+      return;
+    }
+
+    const uid = String(node.userid ?? '');
+    const m = uid.match(STUDENT_RE);
+    if (m) add(m[1], node.userrow || node, '');
+
+    // Elternkonto: dbi.students enthält die eigenen Kinder
+    if (/^Rodic/.test(uid) && node.dbi?.students && typeof node.dbi.students === 'object') {
+      for (const [id, s] of Object.entries(node.dbi.students)) {
+        if (s && typeof s === 'object') add(s.id ?? id, s, classNameOf(node.dbi, s.classid));
+      }
+    }
+
+    for (const key of ['children', 'deti', 'kids']) {
+      if (!Array.isArray(node[key])) continue;
+      for (const c of node[key]) {
+        const cid = String(c?.id ?? c?.studentid ?? c?.userid ?? '');
+        const cm = cid.match(STUDENT_RE) || cid.match(/^(-?\d+)$/);
+        if (cm) add(cm[1], c, c.className || c.trieda || '');
+      }
+    }
+
+    for (const [key, v] of Object.entries(node)) {
+      // Timeline-Einträge tragen die userid von Absendern/anderen Schülern
+      if (TIMELINE_KEYS.has(key)) continue;
+      if (v && typeof v === 'object') walk(v, depth + 1);
+    }
+  };
+
+  for (const src of sources) {
+    if (typeof src === 'string') walk(extractUserhome(src));
+    else walk(src);
+  }
+
+  return [...found.values()];
+}
+
+module.exports = {
+  findStudents,
+};
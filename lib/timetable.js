@@ -0,0 +1,442 @@
+'use strict';
+
+const { addDays } = require('./dates');
+
+// Item types from currenttt that are real lessons ("card" is the usual one)
+const LESSON_TYPES = new Set(['card', 'lesson']);
+
+// currenttt "table" per timetable type
+const TABLES = { student: 'students', teacher: 'teachers', class: 'classes', room: 'classrooms' };
+
+function rowsToMap(rows) {
+  const map = new Map();
+  if (Array.isArray(rows)) {
+    for (const row of rows) {
+      if (row?.id != null) map.set(String(row.id), row);
+    }
+  } else if (rows && typeof rows === 'object') {
+    for (const [id, row] of Object.entries(rows)) {
+      if (row && typeof row === 'object') map.set(String(row.id ?? id), row);
+    }
+  }
+  return map;
+}
+
+/**
+ * Collect lookup tables (subjects, teachers, classrooms, classes, periods).
+ * EduPage delivers them either as dbiAccessorRes.tables[{ id, data_rows }]
+ * or as a plain dbi object ({ subjects: { <id>: {...} }, ... }).
+ * Later sources override earlier ones.
+ */
+function buildLookups(...sources) {
+  const lookups = {
+    subjects: new Map(),
+    teachers: new Map(),
+    classrooms: new Map(),
+    classes: new Map(),
+    periods: new Map(),
+  };
+
+  const merge = (name, rows) => {
+    if (!lookups[name]) return;
+    for (const [id, row] of rowsToMap(rows)) lookups[name].set(id, row);
+  };
+
+  for (const src of sources) {
+    if (!src || typeof src !== 'object') continue;
+
+    const tables = src.dbiAccessorRes?.tables || src.tables;
+    if (Array.isArray(tables)) {
+      for (const t of tables) merge(t?.id, t?.data_rows);
+    }
+
+    const dbi = src.dbi || (Array.isArray(tables) ? null : src);
+    if (dbi) {
+      for (const name of Object.keys(lookups)) merge(name, dbi[name]);
+    }
+  }
+
+  return lookups;
+}
+
+function personName(row) {
+  if (!row) return '';
+  const full = [row.firstname, row.lastname].filter(Boolean).join(' ').trim();
+  return row.name || full || row.short || '';
+}
+
+function resolveIds(map, ids, pick) {
+  const list = Array.isArray(ids) ? ids : (ids != null && ids !== '' ? [ids] : []);
+  return list
+    .map(id => {
+      const row = map.get(String(id));
+      return row ? pick(row) : '';
+    })
+    .filter(Boolean);
+}
+
+function normTime(t) {
+  const m = String(t || '').match(/^(\d{1,2}):(\d{2})/);
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : '';
+}
+
+function periodTimes(lookups, period) {
+  if (period == null || period === '') return { start: '', end: '' };
+  const key = String(period);
+  let row = lookups.periods.get(key);
+  if (!row) {
+    for (const p of lookups.periods.values()) {
+      if (String(p.period ?? p.short ?? '') === key) {
+        row = p;
+        break;
+      }
+    }
+  }
+  return { start: normTime(row?.starttime), end: normTime(row?.endtime) };
+}
+
+function isAllDay(start, end) {
+  return !start || !end || (start === '00:00' && (end === '00:00' || end === '24:00' || end === '23:59'));
+}
+
+function isAllDayItem(it, lookups) {
+  const p = periodTimes(lookups, it.uniperiod ?? it.period ?? '');
+  return isAllDay(normTime(it.starttime) || p.start, normTime(it.endtime) || p.end);
+}
+
+function groupNames(it) {
+  const g = Array.isArray(it.groupnames) ? it.groupnames : (it.groupname ? [it.groupname] : []);
+  return g.map(x => String(x || '').trim()).filter(Boolean).join(', ');
+}
+
+// Die "andere Seite" der Stunde: Lehrer für Schüler/Klassen, Klasse für Lehrer, beides für Räume
+function infoText(l, table) {
+  const withGroups = s => [s, l.groups].filter(Boolean).join(' ');
+  switch (table) {
+    case 'teachers': return withGroups(l.classes);
+    case 'classes': return [l.teacher, l.groups].filter(Boolean).join(' – ');
+    case 'classrooms': return [withGroups(l.classes), l.teacher].filter(Boolean).join(' – ');
+    default: return l.teacher;
+  }
+}
+
+/**
+ * Turn a single ttitem into a lesson object (or null if it is not one).
+ */
+function parseItem(it, lookups, table = 'students') {
+  if (!it?.date) return null;
+
+  const isLesson = LESSON_TYPES.has(it.type);
+  const isEvent = it.type === 'event';
+  if (!isLesson && !isEvent) return null;
+
+  const period = it.uniperiod ?? it.period ?? '';
+  const fromPeriod = periodTimes(lookups, period);
+  const start = normTime(it.starttime) || fromPeriod.start;
+  const end = normTime(it.endtime) || fromPeriod.end;
+
+  // Ganztägige Events landen in "ferien", nicht in den Stunden-Slots
+  if (isEvent && isAllDay(start, end)) return null;
+
+  const subjectRow = lookups.subjects.get(String(it.subjectid ?? ''));
+  const subject = isEvent
+    ? (it.name || subjectRow?.name || '')
+    : (subjectRow?.name || subjectRow?.short || it.name || '');
+
+  const lesson = {
+    type: isLesson ? 'lesson' : 'event',
+    date: it.date,
+    period: period === '' ? '' : String(period),
+    start,
+    end,
+    subject,
+    subjectShort: subjectRow?.short || '',
+    teacher: resolveIds(lookups.teachers, it.teacherids, personName).join(', '),
+    room: resolveIds(lookups.classrooms, it.classroomids, r => r.short || r.name || '').join(', '),
+    classes: resolveIds(lookups.classes, it.classids, r => r.short || r.name || '').join(', '),
+    groups: groupNames(it),
+    info: '',
+    color: Array.isArray(it.colors) ? (it.colors[0] || '') : (it.color || ''),
+    changed: false,
+    canceled: false,
+    changeText: '',
+    changes: [],
+  };
+  lesson.info = infoText(lesson, table);
+  return lesson;
+}
+
+function compareLessons(a, b) {
+  if (a.start !== b.start) return a.start < b.start ? -1 : 1;
+  const pa = Number(a.period);
+  const pb = Number(b.period);
+  if (!Number.isNaN(pa) && !Number.isNaN(pb) && pa !== pb) return pa - pb;
+  return 0;
+}
+
+// ---- showOrig: Vergleich mit dem regulären Stundenplan ----
+
+// Original items come either as separate ttitems flagged "orig",
+// or embedded in the current item (origdata / orig object).
+function isOrigItem(it) {
+  return it?.orig === true || it?.original === true || it?.isOrig === true;
+}
+
+function embeddedOrig(it) {
+  const o = it?.origdata || (it?.orig && typeof it.orig === 'object' ? it.orig : null);
+  if (!o) return null;
+  return { type: it.type, date: it.date, uniperiod: it.uniperiod, period: it.period, starttime: it.starttime, endtime: it.endtime, groupnames: it.groupnames, ...o };
+}
+
+function isRemoved(it) {
+  return !!(it?.removed || it?.cancelled || it?.canceled);
+}
+
+function slotKey(l, withClasses = true) {
+  return `${l.date}|${l.period || l.start}${withClasses ? `|${l.classes}|${l.groups}` : ''}`;
+}
+
+/**
+ * Compare a current lesson against its regular counterpart.
+ * Returns a list of { kind, from, to }; kind is one of
+ * canceled | added | subject | teacher | room | classes.
+ */
+function diffLesson(cur, orig, removed, table = 'students') {
+  if (removed) return [{ kind: 'canceled', from: cur.subject, to: '' }];
+  if (!orig) return [{ kind: 'added', from: '', to: cur.subject }];
+
+  // Lehrer-/Raumplan: Klasse statt Lehrer ist die interessante Spalte
+  const kinds = table === 'teachers' ? ['subject', 'classes', 'room'] : ['subject', 'teacher', 'room'];
+  if (table === 'classrooms') kinds.push('classes');
+
+  const changes = [];
+  for (const kind of kinds) {
+    if (orig[kind] && cur[kind] !== orig[kind]) changes.push({ kind, from: orig[kind], to: cur[kind] });
+  }
+  return changes;
+}
+
+function describeChanges(changes) {
+  return changes
+    .map(c => {
+      switch (c.kind) {
+        case 'canceled': return 'Canceled';
+        case 'added': return 'Additional lesson';
+        case 'subject': return `Subject: ${c.to || '-'} (instead of ${c.from})`;
+        case 'teacher': return `Substitute: ${c.to || '-'} (instead of ${c.from})`;
+        case 'room': return `Room: ${c.to || '-'} (instead of ${c.from})`;
+        case 'classes': return `Class: ${c.to || '-'} (instead of ${c.from})`;
+        default: return '';
+      }
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function applyChanges(lesson, changes) {
+  lesson.changes = changes;
+  lesson.canceled = changes.some(c => c.kind === 'canceled');
+  lesson.changed = changes.length > 0;
+  lesson.changeText = describeChanges(changes);
+  return lesson;
+}
+
+/**
+ * Parse the currenttt response into lessons grouped by date.
+ * `table` is the requested timetable (students | teachers | classes | classrooms).
+ * Returns { lessonsByDate: Map<date, lesson[]>, eventsByDate: Map<date, string> }
+ */
+function parseTtItems(ttRes, { dbi, table = 'students' } = {}) {
+  const r = ttRes?.r || ttRes?.data?.r || ttRes || {};
+  const items = Array.isArray(r?.ttitems) ? r.ttitems : [];
+  const lookups = buildLookups(dbi, r);
+
+  const lessonsByDate = new Map();
+  const eventsByDate = new Map();
+  const push = l => {
+    if (!lessonsByDate.has(l.date)) lessonsByDate.set(l.date, []);
+    lessonsByDate.get(l.date).push(l);
+  };
+
+  // regular lessons (only present with showOrig)
+  const origByKey = new Map();
+  const origByKeyLoose = new Map();
+  const origUsed = new Set();
+  let hasOrig = false;
+
+  for (const it of items) {
+    if (!isOrigItem(it)) continue;
+    const o = parseItem(it, lookups, table);
+    if (!o || o.type !== 'lesson') continue;
+    hasOrig = true;
+    origByKey.set(slotKey(o), o);
+    if (!origByKeyLoose.has(slotKey(o, false))) origByKeyLoose.set(slotKey(o, false), o);
+  }
+
+  for (const it of items) {
+    if (isOrigItem(it)) continue;
+
+    // nur ganztägige Events sind "ferien", Events mit Uhrzeit werden Slots (parseItem)
+    if (it?.type === 'event' && it?.date && it?.name && isAllDayItem(it, lookups)) {
+      if (!eventsByDate.has(it.date)) eventsByDate.set(it.date, it.name);
+    }
+
+    const lesson = parseItem(it, lookups, table);
+    if (!lesson) continue;
+
+    if (lesson.type === 'lesson') {
+      const embedded = embeddedOrig(it);
+      let orig = embedded ? parseItem(embedded, lookups, table) : null;
+      if (!orig && hasOrig) orig = origByKey.get(slotKey(lesson)) || origByKeyLoose.get(slotKey(lesson, false)) || null;
+      if (orig) origUsed.add(orig);
+
+      // ohne showOrig-Daten gibt es nichts zu vergleichen (außer "removed")
+      if (orig || hasOrig || isRemoved(it)) {
+        applyChanges(lesson, diffLesson(lesson, orig, isRemoved(it), table));
+      } else if (it.changed) {
+        lesson.changed = true;
+      }
+    }
+
+    push(lesson);
+  }
+
+  // reguläre Stunden ohne aktuelles Gegenstück sind entfallen
+  for (const o of origByKey.values()) {
+    if (origUsed.has(o)) continue;
+    push(applyChanges({ ...o }, [{ kind: 'canceled', from: o.subject, to: '' }]));
+  }
+
+  for (const list of lessonsByDate.values()) list.sort(compareLessons);
+
+  return { lessonsByDate, eventsByDate };
+}
+
+/**
+ * Changed/canceled/added lessons of one day, as plain objects for the substitutions.* states.
+ */
+function listSubstitutions(lessons) {
+  return (lessons || [])
+    .filter(l => l.type === 'lesson' && l.changed)
+    .map(l => ({
+      date: l.date,
+      period: l.period,
+      start: l.start,
+      end: l.end,
+      subject: l.subject,
+      teacher: l.teacher,
+      room: l.room,
+      classes: l.classes,
+      info: l.info,
+      canceled: l.canceled,
+      kinds: (l.changes || []).map(c => c.kind),
+      changeText: l.changeText,
+    }));
+}
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Week model starting at `monday` (YYYY-MM-DD):
+ * { dateFrom, dateTo, days: { monday: { date, lessons, ferien }, ... } }
+ */
+function buildWeek(lessonsByDate, eventsByDate, monday) {
+  const days = {};
+  WEEKDAYS.forEach((wd, i) => {
+    const date = addDays(monday, i);
+    days[wd] = { date, lessons: lessonsByDate.get(date) || [], ferien: eventsByDate.get(date) || '' };
+  });
+  return { dateFrom: monday, dateTo: addDays(monday, 6), days };
+}
+
+/**
+ * Collect { date -> { lessons, ferien } } from today/tomorrow/week/nextWeek of a parsed model.
+ */
+function collectDays(model) {
+  const days = new Map();
+  const add = d => {
+    if (d?.date && !days.has(d.date)) days.set(d.date, { lessons: d.lessons || [], ferien: d.ferien || '' });
+  };
+
+  add(model?.today);
+  add(model?.tomorrow);
+  for (const w of [model?.week, model?.nextWeek]) {
+    if (w?.days) Object.values(w.days).forEach(add);
+  }
+  return new Map([...days].sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+/**
+ * Every day from `from` to `to` (YYYY-MM-DD, inclusive): [{ date, lessons, ferien }].
+ */
+function buildRange(lessonsByDate, eventsByDate, from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push({ date, lessons: lessonsByDate.get(date) || [], ferien: eventsByDate.get(date) || '' });
+  }
+  return days;
+}
+
+function toMinutes(t) {
+  const m = String(t || '').match(/^(\d{2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+const isUsable = l => l.type === 'lesson' && !l.canceled && l.start && l.end;
+
+/**
+ * { isSchoolDay, firstStart, lastEnd } of one day (canceled lessons and events ignored).
+ */
+function daySummary(day) {
+  const lessons = (day?.lessons || []).filter(isUsable);
+  return {
+    isSchoolDay: lessons.length > 0,
+    firstStart: lessons.reduce((a, l) => (!a || l.start < a ? l.start : a), ''),
+    lastEnd: lessons.reduce((a, l) => (l.end > a ? l.end : a), ''),
+  };
+}
+
+/**
+ * Where are we right now? `date` is the local 'YYYY-MM-DD', `now` the local 'HH:MM'.
+ * Uses every day of the model (today/tomorrow/week), so it still works after midnight.
+ * Returns { inLesson, isBreak, lesson, next, nextDate, minutesUntilNext }
+ */
+function currentStatus(model, date, now) {
+  const days = collectDays(model);
+  const todays = (days.get(date)?.lessons || []).filter(isUsable);
+  const lesson = todays.find(l => l.start <= now && now < l.end) || null;
+
+  let next = null;
+  let nextDate = '';
+  let minutesUntilNext = null;
+  for (const [d, day] of days) {
+    if (d < date) continue;
+    const n = day.lessons.filter(isUsable).find(l => d > date || l.start > now);
+    if (!n) continue;
+    const dayDiff = Math.round((Date.parse(`${d}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`)) / 86400000);
+    next = n;
+    nextDate = d;
+    minutesUntilNext = dayDiff * 1440 + toMinutes(n.start) - toMinutes(now);
+    break;
+  }
+
+  // Pause = zwischen zwei Stunden desselben Tages
+  const isBreak = !lesson && todays.some(l => l.end <= now) && todays.some(l => l.start > now);
+
+  return { inLesson: !!lesson, isBreak, lesson, next, nextDate, minutesUntilNext };
+}
+
+module.exports = {
+  buildLookups,
+  parseTtItems,
+  listSubstitutions,
+  buildWeek,
+  buildRange,
+  collectDays,
+  daySummary,
+  currentStatus,
+  addDays,
+  WEEKDAYS,
+  TABLES,
+  normTime,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const { WEEKDAYS } = require('./timetable');
+
+// JSON- und HTML-States für VIS/Jarvis (ein State statt vieler Einzelwerte)
+
+const SCHEMA = 1;
+
+const DEFAULT_CLASSES = {
+  table: 'edu-tt',
+  canceled: 'edu-canceled',
+  changed: 'edu-changed',
+  event: 'edu-event',
+  ferien: 'edu-ferien',
+};
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// nur echte Farbwerte in style="" übernehmen
+function safeColor(c) {
+  return /^#[0-9a-f]{3,8}$/i.test(String(c || '')) ? c : '';
+}
+
+function lessonJson(l) {
+  return {
+    type: l.type,
+    period: l.period || '',
+    start: l.start || '',
+    end: l.end || '',
+    subject: l.subject || '',
+    subjectShort: l.subjectShort || '',
+    teacher: l.teacher || '',
+    room: l.room || '',
+    classes: l.classes || '',
+    groups: l.groups || '',
+    info: l.info || '',
+    color: safeColor(l.color),
+    changed: !!l.changed,
+    canceled: !!l.canceled,
+    changeText: l.changeText || '',
+  };
+}
+
+/**
+ * Day as JSON: { schema, date, ferien, isSchoolDay, lessons: [...] }
+ */
+function dayJson(day) {
+  const lessons = (day?.lessons || []).map(lessonJson);
+  return {
+    schema: SCHEMA,
+    date: day?.date || '',
+    ferien: day?.ferien || '',
+    isSchoolDay: lessons.some(l => l.type === 'lesson' && !l.canceled),
+    lessons,
+  };
+}
+
+/**
+ * Week as JSON: { schema, dateFrom, dateTo, days: [{ weekday, date, ferien, isSchoolDay, lessons }] }
+ */
+function weekJson(week) {
+  return {
+    schema: SCHEMA,
+    dateFrom: week?.dateFrom || '',
+    dateTo: week?.dateTo || '',
+    days: WEEKDAYS.map(wd => {
+      const { schema, ...d } = dayJson(week?.days?.[wd]);
+      return { weekday: wd, ...d };
+    }),
+  };
+}
+
+/**
+ * Any list of days as JSON: { schema, dateFrom, dateTo, days: [{ date, ferien, isSchoolDay, lessons }] }
+ */
+function rangeJson(days, from, to) {
+  return {
+    schema: SCHEMA,
+    dateFrom: from || days?.[0]?.date || '',
+    dateTo: to || days?.[days.length - 1]?.date || '',
+    days: (days || []).map(day => {
+      const { schema, ...d } = dayJson(day);
+      return d;
+    }),
+  };
+}
+
+function classesOf(opts) {
+  const c = { ...DEFAULT_CLASSES };
+  for (const [k, v] of Object.entries(opts?.classes || {})) {
+    if (v && /^[\w\- ]+$/.test(v)) c[k] = v.trim();
+  }
+  return c;
+}
+
+function rowClass(l, c) {
+  return [l.type === 'event' && c.event, l.canceled && c.canceled, l.changed && !l.canceled && c.changed].filter(Boolean).join(' ');
+}
+
+// Inhalt einer Stunde: Fach (durchgestrichen wenn entfallen), Raum, Lehrer/Klasse, Änderungstext
+function lessonCell(l, c, inline, withClass = true) {
+  const subject = escapeHtml(l.subject);
+  const name = l.canceled ? `<s>${subject}</s>` : l.changed && inline ? `<b>${subject}</b>` : subject;
+  const meta = [l.room, l.info].filter(Boolean).map(escapeHtml).join(' · ');
+  const note = l.changeText ? `<br><small>${escapeHtml(l.changeText)}</small>` : '';
+  const color = safeColor(l.color);
+  const style = [color && `border-left:4px solid ${color}`, inline && l.changed && !l.canceled && 'background:#fff3cd']
+    .filter(Boolean)
+    .join(';');
+  const cls = withClass ? rowClass(l, c) : '';
+  return `<div${cls ? ` class="${cls}"` : ''}${style ? ` style="${style}"` : ''}>${name}${meta ? `<br><small>${meta}</small>` : ''}${note}</div>`;
+}
+
+/**
+ * Day as HTML table (time | lesson). opts: { classes: { table, canceled, changed, event, ferien }, inline }
+ */
+function dayHtml(day, opts = {}) {
+  const c = classesOf(opts);
+  const inline = opts.inline !== false;
+  const rows = [];
+  if (day?.ferien) rows.push(`<tr class="${c.ferien}"><td colspan="2">${escapeHtml(day.ferien)}</td></tr>`);
+  for (const l of day?.lessons || []) {
+    const time = [l.start, l.end].filter(Boolean).join('–');
+    const cls = rowClass(l, c);
+    rows.push(`<tr${cls ? ` class="${cls}"` : ''}><td>${escapeHtml(l.period ? `${l.period}. ` : '')}${escapeHtml(time)}</td><td>${lessonCell(l, c, inline, false)}</td></tr>`);
+  }
+  return `<table class="${c.table}">${rows.join('')}</table>`;
+}
+
+/**
+ * Week as HTML table: one row per lesson time, one column per school day (Sat/Sun only if used).
+ */
+function weekHtml(week, opts = {}) {
+  const c = classesOf(opts);
+  const inline = opts.inline !== false;
+  const days = WEEKDAYS.map(wd => ({ wd, ...(week?.days?.[wd] || { lessons: [] }) })).filter(
+    (d, i) => i < 5 || d.lessons?.length
+  );
+
+  const slotOf = l => `${l.start}|${l.period}`;
+  const slots = new Map();
+  for (const d of days) {
+    for (const l of d.lessons || []) {
+      if (l.type !== 'lesson' && !l.start) continue;
+      if (!slots.has(slotOf(l))) slots.set(slotOf(l), { start: l.start, end: l.end, period: l.period });
+    }
+  }
+  const ordered = [...slots.entries()].sort(([, a], [, b]) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  const head = `<tr><th></th>${days.map(d => `<th>${escapeHtml(d.wd.slice(0, 2).replace(/^./, x => x.toUpperCase()))} ${escapeHtml((d.date || '').slice(8, 10))}.${escapeHtml((d.date || '').slice(5, 7))}.</th>`).join('')}</tr>`;
+  const ferien = days.some(d => d.ferien)
+    ? `<tr class="${c.ferien}"><td></td>${days.map(d => `<td>${escapeHtml(d.ferien || '')}</td>`).join('')}</tr>`
+    : '';
+  const body = ordered.map(([key, s]) => {
+    const cells = days.map(d => {
+      const ls = (d.lessons || []).filter(l => slotOf(l) === key);
+      return `<td>${ls.map(l => lessonCell(l, c, inline)).join('')}</td>`;
+    });
+    const time = [s.start, s.end].filter(Boolean).join('–');
+    return `<tr><td>${escapeHtml(s.period ? `${s.period}. ` : '')}${escapeHtml(time)}</td>${cells.join('')}</tr>`;
+  });
+
+  return `<table class="${c.table} ${c.table}-week">${head}${ferien}${body.join('')}</table>`;
+}
+
+module.exports = {
+  dayJson,
+  weekJson,
+  rangeJson,
+  dayHtml,
+  weekHtml,
+  escapeHtml,
+  DEFAULT_CLASSES,
+};
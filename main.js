@@ -1,8 +1,29 @@
 'use strict';
 
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
 const utils = require('@iobroker/adapter-core');
 const { EdupageHttp } = require('./lib/edupageHttp');
 const { EdupageClient } = require('./lib/edupageClient');
+const { parseTtItems, listSubstitutions, buildWeek, buildRange, collectDays, daySummary, currentStatus, addDays, WEEKDAYS, TABLES } = require('./lib/timetable');
+const { diffModels, isNotifiable, formatEvent } = require('./lib/changes');
+const { findStudents } = require('./lib/students');
+const { buildIcs } = require('./lib/ics');
+const { systemTimeZone, isValidTimeZone, zonedNow, mondayOf, schoolYear, parseDateRange } = require('./lib/dates');
+const { roleFor, isOrphan, slotCounts } = require('./lib/objects');
+const { dayJson, weekJson, rangeJson, dayHtml, weekHtml } = require('./lib/widgets');
+const { parseAssignments, linkLessons, summarize } = require('./lib/homework');
+const { parseGrades, gradesBySubject } = require('./lib/grades');
+const { parseMessages } = require('./lib/messages');
+const { parseLunchDay, menuText, canteenData } = require('./lib/lunch');
+const { testConnection, formatResult } = require('./lib/connectionTest');
+
+// Objektordner je Stundenplan-Typ (Liste in den Einstellungen)
+const TARGET_FOLDERS = { student: 'students', teacher: 'teachers', class: 'classes', room: 'rooms' };
+
+// gespeicherte Session spätestens danach verwerfen und neu anmelden
+const SESSION_MAX_AGE = 12 * 60 * 60 * 1000;
 
 class Edupage extends utils.Adapter {
   constructor(options) {
@@ -10,12 +31,27 @@ class Edupage extends utils.Adapter {
 
     this.on('ready', this.onReady.bind(this));
     this.on('unload', this.onUnload.bind(this));
+    this.on('message', this.onMessage.bind(this));
+    this.on('stateChange', this.onStateChange.bind(this));
 
     this.timer = null;
+    this.ticker = null;
+    this.timeZone = null; // Zeitzone der Schule (Config oder System)
     this.maxLessons = 12;
+    this.slots = new Map(); // 'today.lessons' -> vorhandene Slot-Objekte
+
+    this.targets = []; // [{ id, alias, prefix }]
+    this.lastModels = new Map(); // prefix -> last parsed model
+    this.students = []; // found after login: [{ id, name, className }]
+    this.session = null; // { guPath, gsh, loggedInAt, reused }
+    this.syncRunning = null; // Promise des laufenden Syncs
+    this.lock = Promise.resolve(); // Ende der letzten Aktion mit Session (exclusive)
+    this.icsFiles = new Map(); // file name -> iCalendar text
+    this.icsServer = null;
 
     this.captchaBackoffUntil = 0;
-    this.stopOnCaptcha = true; // requested
+    this.captchaCount = 0; // Captchas in Folge -> Backoff wächst
+    this.pendingCaptcha = null; // { md, schoolSubdomain } from the login that asked for it
   }
 
   async onReady() {
@@ -39,21 +75,75 @@ class Edupage extends utils.Adapter {
     this.maxLessons = Math.max(6, Number(this.config.maxLessons || 12));
     const intervalMin = Math.max(5, Number(this.config.intervalMin || 15));
     const weekView = !!this.config.enableWeek;
+    this.weekView = weekView;
+    this.nextWeek = weekView && !!this.config.enableNextWeek;
+    this.targets = this.getTargets();
+
+    const tz = (this.config.timezone || '').toString().trim();
+    if (tz && !isValidTimeZone(tz)) this.log.warn(`Unknown time zone "${tz}", using ${systemTimeZone()}.`);
+    this.timeZone = isValidTimeZone(tz) ? tz : systemTimeZone();
 
     await this.ensureStates();
+    await this.cleanupObjects();
 
-    this.eduHttp = new EdupageHttp({ baseUrl, log: this.log });
-    this.eduClient = new EdupageClient({ http: this.eduHttp, log: this.log });
+    this.eduHttp = new EdupageHttp({
+      baseUrl,
+      log: this.log,
+      transport: this.config.transport,
+      minInterval: this.config.requestDelay ?? 500,
+      maxRetries: this.config.maxRetries ?? 3,
+    });
+    this.eduClient = new EdupageClient({
+      http: this.eduHttp,
+      log: this.log,
+      endpoints: await this.loadEndpoints(baseUrl),
+      onEndpoint: () => this.saveEndpoints(baseUrl).catch(() => {}),
+    });
 
-    await this.syncOnce({ schoolSubdomain, weekView }).catch(e =>
-      this.log.warn(`Initial sync failed: ${e?.message || e}`)
-    );
+    this.startIcsServer();
+
+    this.syncOptions = { schoolSubdomain, weekView };
+    this.subscribeStates('meta.captchaSolution');
+    this.subscribeStates('control.*');
+    if (this.config.enableMessages) this.subscribeStates('messages.markRead');
+
+    await this.runSync().catch(e => this.log.warn(`Initial sync failed: ${e?.message || e}`));
 
     this.timer = setInterval(() => {
-      this.syncOnce({ schoolSubdomain, weekView }).catch(e =>
-        this.log.warn(`Sync failed: ${e?.message || e}`)
-      );
+      this.runSync().catch(e => this.log.warn(`Sync failed: ${e?.message || e}`));
     }, intervalMin * 60 * 1000);
+
+    // now.* / next.* jede Minute aus dem letzten Modell, ohne HTTP
+    this.ticker = setInterval(() => {
+      this.tick().catch(e => this.log.debug(`Tick failed: ${e?.message || e}`));
+    }, 60 * 1000);
+  }
+
+  // Single studentId -> states at root (as before), list -> students|teachers|classes|rooms.<alias>.*
+  getTargets() {
+    const list = Array.isArray(this.config.students) ? this.config.students : [];
+    const targets = [];
+    const seen = new Set();
+    const typeOf = t => (TABLES[t] ? t : 'student');
+
+    for (const s of list) {
+      const id = (s?.id ?? '').toString().trim();
+      const alias = (s?.alias || id).toString().trim().replace(this.FORBIDDEN_CHARS, '_').replace(/[.\s]+/g, '_');
+      const type = typeOf(s?.type);
+      const folder = TARGET_FOLDERS[type];
+      if (!id || !alias) continue;
+      if (seen.has(`${folder}.${alias}`)) {
+        this.log.warn(`Duplicate alias "${alias}" (${type}) ignored.`);
+        continue;
+      }
+      seen.add(`${folder}.${alias}`);
+      targets.push({ id, alias, type, folder, prefix: `${folder}.${alias}.` });
+    }
+
+    if (!targets.length) {
+      targets.push({ id: (this.config.studentId ?? '').toString().trim(), alias: '', type: typeOf(this.config.targetType), folder: '', prefix: '' });
+    }
+    return targets;
   }
 
   async ensureStates() {
@@ -63,16 +153,114 @@ class Edupage extends utils.Adapter {
       ['meta.captchaRequired', 'boolean', 'Captcha required by EduPage'],
       ['meta.captchaUrl', 'string', 'Captcha URL (open in browser)'],
       ['meta.captchaUntil', 'number', 'Backoff until timestamp (ms)'],
+      ['meta.captchaImage', 'string', 'Captcha image (data URL)'],
+      ['meta.endpoint', 'string', 'Working EduPage endpoint variants (JSON)'],
+      ['meta.http.requests', 'number', 'HTTP requests since adapter start'],
+      ['meta.http.errors', 'number', 'Failed HTTP requests'],
+      ['meta.http.retries', 'number', 'Retried HTTP requests'],
+      ['meta.http.lastStatus', 'number', 'Status of the last HTTP request'],
+      ['meta.http.lastDurationMs', 'number', 'Duration of the last HTTP request (ms)'],
+      ['meta.http.avgDurationMs', 'number', 'Average HTTP request duration (ms)'],
+      ['meta.http.waitedMs', 'number', 'Time waited for rate limiting/backoff (ms)'],
+      ['meta.students', 'string', 'Students found for this account (JSON)'],
+    ];
 
+    for (const [id, type, name] of defs) {
+      await this.ensureState(id, type, name);
+    }
+
+    await this.setObjectNotExistsAsync('meta.captchaSolution', {
+      type: 'state',
+      common: { name: 'Captcha text (write to retry login)', type: 'string', role: 'text', read: true, write: true },
+      native: {},
+    });
+
+    // Steuer-States (schreibbar)
+    const controls = [
+      ['control.refresh', 'Sync now', 'boolean', 'button'],
+      ['control.resetSession', 'Drop the stored session and log in again', 'boolean', 'button'],
+      ['control.fetchDate', 'Load a date or range into custom.* (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD)', 'string', 'text'],
+    ];
+    for (const [id, name, type, role] of controls) {
+      await this.setObjectNotExistsAsync(id, {
+        type: 'state',
+        common: { name, type, role, read: type !== 'boolean', write: true },
+        native: {},
+      });
+    }
+
+    if (this.config.enableMessages) {
+      const msg = [
+        ['messages.json', 'string', 'Latest messages (JSON list)'],
+        ['messages.unread', 'number', 'Unread messages'],
+        ['messages.seenIds', 'string', 'IDs of messages already seen (JSON)'],
+      ];
+      for (const [id, type, name] of msg) {
+        await this.ensureState(id, type, name);
+      }
+      await this.setObjectNotExistsAsync('messages.markRead', {
+        type: 'state',
+        common: { name: 'Mark all messages as read', type: 'boolean', role: 'button', read: false, write: true },
+        native: {},
+      });
+    }
+
+    // Speiseplan gilt für das ganze Konto, nicht pro Ziel
+    if (this.config.enableLunch) {
+      for (const day of ['today', 'tomorrow']) {
+        const lunch = [
+          [`lunch.${day}.served`, 'boolean', 'Lunch served'],
+          [`lunch.${day}.menu`, 'string', 'Menu (text)'],
+          [`lunch.${day}.json`, 'string', 'Menu (JSON)'],
+          [`lunch.${day}.ordered`, 'boolean', 'Lunch ordered'],
+          [`lunch.${day}.signedOff`, 'boolean', 'Signed off'],
+          [`lunch.${day}.choice`, 'string', 'Ordered menu'],
+          [`lunch.${day}.changeUntil`, 'string', 'Order/sign-off possible until'],
+        ];
+        for (const [id, type, name] of lunch) {
+          await this.ensureState(id, type, name);
+        }
+      }
+      await this.setObjectNotExistsAsync('lunch.tomorrow.orderMissing', {
+        type: 'state',
+        common: { name: 'Lunch tomorrow served but not ordered', type: 'boolean', role: 'indicator', read: true, write: false },
+        native: {},
+      });
+    }
+
+    // letzte bekannte Liste für das Admin-Dropdown
+    const st = await this.getStateAsync('meta.students');
+    try {
+      this.students = st?.val ? JSON.parse(st.val) : [];
+    } catch {
+      this.students = [];
+    }
+
+    for (const t of this.targets) {
+      if (t.alias) {
+        await this.setObjectNotExistsAsync(`${t.folder}.${t.alias}`, {
+          type: 'channel',
+          common: { name: `${t.type[0].toUpperCase()}${t.type.slice(1)} ${t.alias} (${t.id})` },
+          native: { id: t.id, type: t.type },
+        });
+      }
+      await this.ensureTargetStates(t.prefix, t);
+    }
+  }
+
+  async ensureTargetStates(p, target = {}) {
+    const defs = [
       ['today.date', 'string', 'Today date'],
       ['tomorrow.date', 'string', 'Tomorrow date'],
 
-      ['week.dateFrom', 'string', 'Week range start (YYYY-MM-DD)'],
-      ['week.dateTo', 'string', 'Week range end (YYYY-MM-DD)'],
-
       ['today.ferien', 'string', 'Holiday/event text if present (today)'],
       ['tomorrow.ferien', 'string', 'Holiday/event text if present (tomorrow)'],
 
+      ['today.json', 'string', 'Today as JSON (widget)'],
+      ['tomorrow.json', 'string', 'Tomorrow as JSON (widget)'],
+      ['today.html', 'string', 'Today as HTML table (widget)'],
+      ['tomorrow.html', 'string', 'Tomorrow as HTML table (widget)'],
+
       ['next.when', 'string', 'today|tomorrow|week'],
       ['next.subject', 'string', 'Next subject'],
       ['next.room', 'string', 'Next room'],
@@ -82,23 +270,131 @@ class Edupage extends utils.Adapter {
       ['next.changed', 'boolean', 'Next changed'],
       ['next.canceled', 'boolean', 'Next canceled'],
       ['next.changeText', 'string', 'Next change text'],
+
+      ['now.inLesson', 'boolean', 'A lesson is running right now'],
+      ['now.isBreak', 'boolean', 'Break between two lessons'],
+      ['now.subject', 'string', 'Current subject'],
+      ['now.room', 'string', 'Current room'],
+      ['now.teacher', 'string', 'Current teacher'],
+      ['now.start', 'string', 'Current lesson start'],
+      ['now.end', 'string', 'Current lesson end'],
+      ['now.minutesUntilNext', 'number', 'Minutes until the next lesson starts'],
+
+      ['today.isSchoolDay', 'boolean', 'Lessons today'],
+      ['today.firstStart', 'string', 'First lesson today (HH:MM)'],
+      ['today.lastEnd', 'string', 'End of the last lesson today (HH:MM)'],
+      ['tomorrow.isSchoolDay', 'boolean', 'Lessons tomorrow'],
+      ['tomorrow.firstStart', 'string', 'First lesson tomorrow (HH:MM)'],
+      ['tomorrow.lastEnd', 'string', 'End of the last lesson tomorrow (HH:MM)'],
+
+      ['substitutions.today.count', 'number', 'Changed/canceled lessons today'],
+      ['substitutions.today.json', 'string', 'Substitutions today (JSON list)'],
+      ['substitutions.tomorrow.count', 'number', 'Changed/canceled lessons tomorrow'],
+      ['substitutions.tomorrow.json', 'string', 'Substitutions tomorrow (JSON list)'],
+
+      ['events.lastChange', 'string', 'Changes found by the last sync (JSON)'],
+      ['events.changeCount', 'number', 'Number of changes since installation'],
+
+      ['export.ics', 'string', 'Timetable as iCalendar (RFC 5545)'],
+
+      ['custom.dateFrom', 'string', 'Requested range start (control.fetchDate)'],
+      ['custom.dateTo', 'string', 'Requested range end (control.fetchDate)'],
+      ['custom.json', 'string', 'Requested range as JSON (control.fetchDate)'],
+      ['custom.lastFetch', 'number', 'Timestamp of the last range request (ms)'],
     ];
 
     for (const [id, type, name] of defs) {
-      await this.setObjectNotExistsAsync(id, {
-        type: 'state',
-        common: { name, type, role: 'value', read: true, write: false },
-        native: {},
-      });
+      await this.ensureState(`${p}${id}`, type, name);
     }
 
-    for (const day of ['today', 'tomorrow']) {
-      for (let i = 0; i < this.maxLessons; i++) {
-        await this.ensureLessonStates(`${day}.lessons.${i}`);
+    if (this.weekView) await this.ensureWeekStates(`${p}week`);
+    if (this.nextWeek) await this.ensureWeekStates(`${p}nextWeek`);
+
+    // Hausaufgaben/Noten gibt es nur für Schüler
+    const isStudent = (target.type || 'student') === 'student';
+
+    if (this.config.enableHomework && isStudent) {
+      const hw = [
+        ['homework.open', 'number', 'Open homework'],
+        ['homework.dueTomorrow', 'number', 'Homework due tomorrow'],
+        ['homework.json', 'string', 'Homework (JSON list)'],
+        ['homework.upcomingTests', 'string', 'Upcoming tests (JSON list)'],
+      ];
+      for (const [id, type, name] of hw) {
+        await this.ensureState(`${p}${id}`, type, name);
+      }
+    }
+
+    if (this.config.enableGrades && isStudent) {
+      const gr = [
+        ['grades.latest', 'string', 'Latest grades (JSON list)'],
+        ['grades.json', 'string', 'All grades (JSON list)'],
+        ['grades.newSinceLastSync', 'boolean', 'New grades since last sync'],
+      ];
+      for (const [id, type, name] of gr) {
+        await this.ensureState(`${p}${id}`, type, name);
       }
     }
   }
 
+  async ensureWeekStates(prefix) {
+    await this.ensureState(`${prefix}.dateFrom`, 'string', 'Week range start (YYYY-MM-DD)');
+    await this.ensureState(`${prefix}.dateTo`, 'string', 'Week range end (YYYY-MM-DD)');
+    await this.ensureState(`${prefix}.json`, 'string', 'Week as JSON (widget)');
+    await this.ensureState(`${prefix}.html`, 'string', 'Week as HTML table (widget)');
+
+    for (const wd of WEEKDAYS) {
+      await this.ensureState(`${prefix}.${wd}.date`, 'string', `Date (${wd})`);
+      await this.ensureState(`${prefix}.${wd}.ferien`, 'string', `Holiday/event text if present (${wd})`);
+    }
+  }
+
+  // Read-only State anlegen, Rolle nach Id/Typ (lib/objects)
+  async ensureState(id, type, name) {
+    await this.setObjectNotExistsAsync(id, {
+      type: 'state',
+      common: { name, type, role: roleFor(id, type), read: true, write: false },
+      native: {},
+    });
+  }
+
+  // Reste älterer Konfigurationen löschen, alte 'value'-Rollen nachziehen, vorhandene Slots merken
+  async cleanupObjects() {
+    const prefix = `${this.namespace}.`;
+    const objs = await this.getAdapterObjectsAsync();
+    const ctx = {
+      targets: this.targets,
+      weekView: this.weekView,
+      nextWeek: this.nextWeek,
+      maxLessons: this.maxLessons,
+      homework: !!this.config.enableHomework,
+      grades: !!this.config.enableGrades,
+      lunch: !!this.config.enableLunch,
+      messages: !!this.config.enableMessages,
+    };
+
+    const ids = Object.keys(objs)
+      .filter(id => id.startsWith(prefix))
+      .map(id => id.slice(prefix.length));
+    // Kinder vor Eltern löschen
+    const orphans = ids.filter(id => isOrphan(id, ctx)).sort((a, b) => b.length - a.length);
+    for (const id of orphans) {
+      await this.delObjectAsync(id).catch(e => this.log.debug(`Could not delete ${id}: ${e?.message || e}`));
+    }
+    if (orphans.length) this.log.info(`Removed ${orphans.length} objects left over from an older configuration.`);
+
+    const kept = ids.filter(id => !orphans.includes(id));
+    for (const id of kept) {
+      const o = objs[prefix + id];
+      // alte Rollen: 'value' für alles, 'value.time' auch für HH:MM-Texte
+      if (o?.type !== 'state' || !['value', 'value.time'].includes(o.common?.role)) continue;
+      const role = roleFor(id, o.common.type);
+      if (role !== o.common.role) await this.extendObjectAsync(id, { common: { role } });
+    }
+
+    this.slots = slotCounts(kept.filter(id => id.endsWith('.exists')));
+  }
+
   async ensureLessonStates(base) {
     const defs = [
       ['exists', 'boolean', 'Lesson exists'],
@@ -108,6 +404,9 @@ class Edupage extends utils.Adapter {
       ['subject', 'string', 'Subject'],
       ['room', 'string', 'Room'],
       ['teacher', 'string', 'Teacher'],
+      ['classes', 'string', 'Classes'],
+      ['groups', 'string', 'Groups'],
+      ['info', 'string', 'Teacher/class (depends on timetable type)'],
       ['changed', 'boolean', 'Changed'],
       ['canceled', 'boolean', 'Canceled'],
       ['changeText', 'string', 'Change text'],
@@ -115,11 +414,7 @@ class Edupage extends utils.Adapter {
     ];
 
     for (const [id, type, name] of defs) {
-      await this.setObjectNotExistsAsync(`${base}.${id}`, {
-        type: 'state',
-        common: { name, type, role: 'value', read: true, write: false },
-        native: {},
-      });
+      await this.ensureState(`${base}.${id}`, type, name);
     }
   }
 
@@ -134,107 +429,103 @@ class Edupage extends utils.Adapter {
       await this.setStateAsync('meta.lastError', '', true);
       await this.setStateAsync('meta.captchaRequired', false, true);
       await this.setStateAsync('meta.captchaUrl', '', true);
+      await this.setStateAsync('meta.captchaImage', '', true);
 
-      const studentId = (this.config.studentId ?? '').toString().trim();
-      const gshCfg = (this.config.gsh ?? '').toString().trim();
-
-      // 0) getData
-      const md = await this.eduClient.getLoginData().catch(() => null);
-
-      // Option A: gu IMMER verfügbar machen (fallback)
-      const guPath = (md?.gu && String(md.gu)) ? String(md.gu) : this.eduClient.getTimetableRefererPath();
-
-      // 1) token
-      const tokRes = await this.eduClient.getToken({
-        username: this.config.username,
-        edupage: schoolSubdomain,
-      });
-      if (!tokRes?.token) throw new Error(tokRes?.err?.error_text || 'No token');
-
-      // 2) login
-      const loginRes = await this.eduClient.login({
-        username: this.config.username,
-        password: this.config.password,
-        userToken: tokRes.token,
-        edupage: schoolSubdomain,
-        ctxt: '',
-        tu: md?.tu ?? null,
-        gu: guPath,          // <-- IMPORTANT
-        au: md?.au ?? null,
-      });
-
-      const errText = loginRes?.err?.error_text || '';
-      const needCaptcha = /verdächtige|zusätzlich überprüfen|Text aus dem Bild|captcha/i.test(errText);
-
-      if (needCaptcha || loginRes?.needCaptcha === '1' || loginRes?.captchaSrc) {
-        const captchaUrl = this.makeAbsoluteUrl(loginRes?.captchaSrc || '');
-        await this.handleCaptcha(captchaUrl || null);
-        return;
-      }
-
-      if (loginRes?.status !== 'OK') {
-        throw new Error(loginRes?.err?.error_text || 'Login failed');
-      }
-
-      // 3) warmup timetable (sets context; also helps _gsh extraction)
-      await this.eduClient.warmUpTimetable({ guPath });
+      // 0-3) reuse stored session or log in
+      let session = await this.ensureSession({ schoolSubdomain });
+      if (!session) return; // captcha
 
       // 4) dates
       const model = this.emptyModel();
       let dateFrom = model.today.date;
       let dateTo = model.tomorrow.date;
 
+      let monday = null;
       if (weekView) {
-        const d = new Date();
-        const day = (d.getDay() + 6) % 7; // Mon=0
-        const monday = new Date(d);
-        monday.setDate(d.getDate() - day);
-        const sunday = new Date(monday);
-        sunday.setDate(monday.getDate() + 6);
-
-        dateFrom = monday.toISOString().slice(0, 10);
-        dateTo = sunday.toISOString().slice(0, 10);
-
-        await this.setStateAsync('week.dateFrom', dateFrom, true);
-        await this.setStateAsync('week.dateTo', dateTo, true);
+        monday = mondayOf(model.today.date);
+
+        dateFrom = monday;
+        dateTo = addDays(monday, this.nextWeek ? 13 : 6);
+        // Sonntag: "morgen" liegt schon in der nächsten Woche
+        if (dateTo < model.tomorrow.date) dateTo = model.tomorrow.date;
       }
 
-      // 5) studentId required
-      if (!studentId) {
+      // 5) studentId required (auto if exactly one student was found)
+      let targets = this.targets.filter(t => t.id);
+      if (!targets.length && this.targets.length === 1 && this.targets[0].type === 'student' && this.students.length === 1) {
+        const s = this.students[0];
+        this.targets[0].id = s.id;
+        targets = [this.targets[0]];
+        this.log.info(`No studentId set, using the only student found: ${s.name || s.id} (${s.id})`);
+      }
+      if (!targets.length) {
+        if (this.students.length > 1) {
+          this.log.warn(`Several students found, please choose one in adapter settings: ${this.students.map(s => `${s.name || '?'} (${s.id})`).join(', ')}`);
+        }
         this.log.warn('No studentId set yet. Please add it in adapter settings (example: 1234).');
         this.setState('info.connection', true, true);
         await this.setStateAsync('meta.lastSync', Date.now(), true);
         return;
       }
 
-      // 6) _gsh: config or auto
-      let gsh = gshCfg;
-      if (!gsh) {
-        gsh = await this.eduClient.getGsh({ guPath });
+      // 6) _gsh: config, session or auto
+      await this.ensureGsh(session);
+
+      // 7) timetable call per student, same session (with proper Referer/Origin)
+      const errors = [];
+      const models = new Map(); // target -> parsed model
+      for (let i = 0; i < targets.length; i++) {
+        const target = targets[i];
+        try {
+          models.set(target, await this.syncTarget(target, { dateFrom, dateTo, monday, gsh: session.gsh, guPath: session.guPath }));
+        } catch (e) {
+          // gespeicherte Session abgelaufen -> einmal neu anmelden und wiederholen
+          if (e?.sessionExpired && session.reused) {
+            this.log.info('EduPage session expired, logging in again.');
+            session = await this.ensureSession({ schoolSubdomain, force: true });
+            if (!session) return;
+            await this.ensureGsh(session);
+            i--;
+            continue;
+          }
+          const who = target.alias ? `${target.folder}.${target.alias}` : `${target.type} ${target.id}`;
+          this.log.warn(`Timetable for ${who} failed: ${e?.message || e}`);
+          errors.push(e);
+        }
       }
+      if (errors.length === targets.length) throw errors[0];
+      if (errors.length) await this.setStateAsync('meta.lastError', String(errors[0]?.message || errors[0]), true);
 
-      // 7) timetable call (with proper Referer/Origin)
-      const yyyy = new Date().getFullYear();
-      const args = [
-        null,
-        {
-          year: yyyy,
-          datefrom: dateFrom,
-          dateto: dateTo,
-          table: 'students',
-          id: String(studentId),
-          showColors: true,
-          showIgroupsInClasses: false,
-          showOrig: true,
-          log_module: 'CurrentTTView',
-        },
-      ];
+      // 8) dashboard data (homework, messages) – one request for both
+      if (this.config.enableHomework || this.config.enableMessages) {
+        const home = await this.retryExpired(() => this.eduClient.getUserHome(), schoolSubdomain).catch(e => {
+          this.log.warn(`Dashboard data failed: ${e?.message || e}`);
+          return null;
+        });
+        const studentModels = new Map([...models].filter(([t]) => t.type === 'student'));
+        if (home && this.config.enableHomework && studentModels.size) {
+          await this.syncHomework(studentModels, home).catch(e => this.log.warn(`Homework failed: ${e?.message || e}`));
+        }
+        if (home && this.config.enableMessages) {
+          await this.syncMessages(home).catch(e => this.log.warn(`Messages failed: ${e?.message || e}`));
+        }
+      }
 
-      const ttRes = await this.eduClient.currentttGetData({ args, gsh, guPath });
+      // 9) canteen (account-wide)
+      if (this.config.enableLunch) {
+        const days = { today: model.today.date, tomorrow: model.tomorrow.date };
+        await this.retryExpired(() => this.syncLunch(days), schoolSubdomain).catch(e => this.log.warn(`Lunch failed: ${e?.message || e}`));
+      }
 
-      const parsed = this.parseCurrentTt(ttRes);
-      await this.writeModel(parsed);
+      // 10) grades per student
+      if (this.config.enableGrades) {
+        for (const target of models.keys()) {
+          if (target.type !== 'student') continue;
+          await this.retryExpired(() => this.syncGrades(target), schoolSubdomain).catch(e => this.log.warn(`Grades failed: ${e?.message || e}`));
+        }
+      }
 
+      await this.saveSession(); // Cookies können sich geändert haben
       this.setState('info.connection', true, true);
       await this.setStateAsync('meta.lastSync', Date.now(), true);
     } catch (e) {
@@ -242,7 +533,479 @@ class Edupage extends utils.Adapter {
       await this.setStateAsync('meta.lastError', msg, true);
       this.setState('info.connection', false, true);
       throw e;
+    } finally {
+      await this.writeHttpStats().catch(() => {});
+    }
+  }
+
+  // gefundene Endpunkt-Varianten (currenttt, ...) gelten pro Schule
+  async loadEndpoints(baseUrl) {
+    try {
+      const st = await this.getStateAsync('meta.endpoint');
+      const data = st?.val ? JSON.parse(st.val) : null;
+      if (data?.baseUrl !== baseUrl) return {};
+      const endpoints = { ...data };
+      delete endpoints.baseUrl;
+      for (const [name, p] of Object.entries(endpoints)) this.log.debug(`EduPage endpoint ${name}: remembered ${p}`);
+      return endpoints;
+    } catch {
+      return {};
+    }
+  }
+
+  async saveEndpoints(baseUrl) {
+    await this.setStateAsync('meta.endpoint', JSON.stringify({ baseUrl, ...this.eduClient.endpoints }), true);
+  }
+
+  async writeHttpStats() {
+    const s = this.eduHttp?.getStats();
+    if (!s) return;
+    for (const [key, val] of Object.entries(s)) {
+      await this.setStateChangedAsync(`meta.http.${key}`, val, true);
+    }
+  }
+
+  async syncTarget(target, { dateFrom, dateTo, monday, gsh, guPath }) {
+    const ttRes = await this.fetchTimetable(target, { dateFrom, dateTo, gsh, guPath });
+    const parsed = this.parseCurrentTt(ttRes, { monday, table: TABLES[target.type] });
+    await this.writeModel(parsed, target.prefix);
+    await this.publishChanges(parsed, target);
+    await this.exportIcs(parsed, target);
+    return parsed;
+  }
+
+  // currenttt für einen Zeitraum; abgelaufene Session -> Fehler mit sessionExpired
+  async fetchTimetable(target, { dateFrom, dateTo, gsh, guPath }) {
+    const args = [
+      null,
+      {
+        year: schoolYear(dateFrom, this.session?.schoolYear || {}),
+        datefrom: dateFrom,
+        dateto: dateTo,
+        table: TABLES[target.type] || 'students',
+        id: String(target.id),
+        showColors: true,
+        showIgroupsInClasses: false,
+        showOrig: true,
+        log_module: 'CurrentTTView',
+      },
+    ];
+
+    let ttRes;
+    try {
+      ttRes = await this.eduClient.currentttGetData({ args, gsh, guPath });
+    } catch (e) {
+      if (e?.status === 401 || e?.status === 403) e.sessionExpired = true;
+      throw e;
+    }
+    if (this.eduClient.isSessionExpired(ttRes)) {
+      const err = new Error('EduPage session expired');
+      err.sessionExpired = true;
+      throw err;
+    }
+    return ttRes;
+  }
+
+  // _gsh: Config, Session oder von der Stundenplan-Seite
+  async ensureGsh(session) {
+    const gshCfg = (this.config.gsh ?? '').toString().trim();
+    if (gshCfg) session.gsh = gshCfg;
+    if (!session.gsh) {
+      session.gsh = await this.eduClient.getGsh({ guPath: session.guPath });
+      await this.saveSession();
+    }
+    return session;
+  }
+
+  // Sync, Einzelabfragen und Session-Reset nacheinander: sie teilen Session und Cookies
+  exclusive(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  // laufenden Sync nicht doppelt starten (Timer, control.refresh, Captcha)
+  runSync() {
+    if (!this.syncRunning) {
+      this.syncRunning = this.exclusive(() => this.syncOnce(this.syncOptions)).finally(() => {
+        this.syncRunning = null;
+      });
+    }
+    return this.syncRunning;
+  }
+
+  /**
+   * Lessons of any date range for one target (control.fetchDate, sendTo getTimetable).
+   * Returns { from, to, target, days: [{ date, ferien, lessons }] }
+   */
+  async fetchRange(range, target = this.targets.find(t => t.id)) {
+    const { from, to } = parseDateRange(range);
+    if (!target?.id) throw new Error('No studentId/target configured');
+
+    return await this.exclusive(async () => {
+      if (this.captchaBackoffUntil && Date.now() < this.captchaBackoffUntil) throw new Error('Captcha required by EduPage, try again later');
+      const days = await this.fetchRangeDays(target, from, to);
+      return { from, to, target, days };
+    });
+  }
+
+  // nur innerhalb von exclusive() aufrufen
+  async fetchRangeDays(target, from, to) {
+    const { schoolSubdomain } = this.syncOptions;
+    let session = await this.ensureSession({ schoolSubdomain });
+    if (!session) throw new Error('Captcha required by EduPage');
+    await this.ensureGsh(session);
+
+    let ttRes;
+    try {
+      ttRes = await this.fetchTimetable(target, { dateFrom: from, dateTo: to, gsh: session.gsh, guPath: session.guPath });
+    } catch (e) {
+      if (!e?.sessionExpired || !session.reused) throw e;
+      this.log.info('EduPage session expired, logging in again.');
+      session = await this.ensureSession({ schoolSubdomain, force: true });
+      if (!session) throw new Error('Captcha required by EduPage');
+      await this.ensureGsh(session);
+      ttRes = await this.fetchTimetable(target, { dateFrom: from, dateTo: to, gsh: session.gsh, guPath: session.guPath });
+    } finally {
+      await this.writeHttpStats().catch(() => {});
+    }
+    await this.saveSession();
+
+    const { lessonsByDate, eventsByDate } = parseTtItems(ttRes, { table: TABLES[target.type] });
+    return buildRange(lessonsByDate, eventsByDate, from, to);
+  }
+
+  async fetchCustom(input) {
+    for (const target of this.targets.filter(t => t.id)) {
+      const { from, to, days } = await this.fetchRange(input, target);
+      const p = target.prefix;
+      await this.setStateAsync(`${p}custom.dateFrom`, from, true);
+      await this.setStateAsync(`${p}custom.dateTo`, to, true);
+      await this.setStateAsync(`${p}custom.json`, JSON.stringify(rangeJson(days, from, to)), true);
+      await this.setStateAsync(`${p}custom.lastFetch`, Date.now(), true);
+    }
+  }
+
+  async syncHomework(models, home) {
+    for (const [target, model] of models) {
+      const p = target.prefix;
+      const list = linkLessons(parseAssignments(home, { studentId: target.id }), collectDays(model));
+      const sum = summarize(list, { today: model.today.date, tomorrow: model.tomorrow.date });
+
+      await this.setStateAsync(`${p}homework.open`, sum.open, true);
+      await this.setStateAsync(`${p}homework.dueTomorrow`, sum.dueTomorrow, true);
+      await this.setStateAsync(`${p}homework.json`, JSON.stringify(sum.list), true);
+      await this.setStateAsync(`${p}homework.upcomingTests`, JSON.stringify(sum.upcomingTests), true);
+    }
+  }
+
+  // Dashboard/Noten/Speiseplan: gespeicherte Session abgelaufen -> einmal neu anmelden und wiederholen
+  async retryExpired(fn, schoolSubdomain) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!e?.sessionExpired || !this.session?.reused) throw e;
+      this.log.info('EduPage session expired, logging in again.');
+      if (!(await this.ensureSession({ schoolSubdomain, force: true }))) throw e;
+      return fn();
+    }
+  }
+
+  // ---- Session: Login nur wenn nötig ----
+  async ensureSession({ schoolSubdomain, force = false }) {
+    if (!force && !this.session) await this.loadSession();
+
+    if (!force && this.session && Date.now() - this.session.loggedInAt < SESSION_MAX_AGE) {
+      this.session.reused = true;
+      return this.session;
+    }
+
+    this.session = null;
+    this.eduHttp.clearCookies();
+
+    const session = await this.loginSession({ schoolSubdomain }).catch(async e => {
+      await this.dropSession();
+      throw e;
+    });
+    if (!session) {
+      // Captcha: Cookies behalten, der Text gehört zu dieser Session (solveCaptcha)
+      await fs.promises.rm(this.getSessionFile(), { force: true }).catch(() => {});
+      return null;
+    }
+
+    this.session = session;
+    await this.saveSession();
+    return session;
+  }
+
+  async loginSession({ schoolSubdomain, ctxt = '', ctx = null }) {
+    // 0) getData (beim Captcha-Lösen: Daten vom ersten Versuch, gleiche Cookies)
+    const md = ctx ? ctx.md : await this.eduClient.getLoginData().catch(() => null);
+
+    // Option A: gu IMMER verfügbar machen (fallback)
+    const guPath = (md?.gu && String(md.gu)) ? String(md.gu) : this.eduClient.getTimetableRefererPath();
+
+    // 1) token
+    const tokRes = await this.eduClient.getToken({
+      username: this.config.username,
+      edupage: schoolSubdomain,
+    });
+    if (!tokRes?.token) throw new Error(tokRes?.err?.error_text || 'No token');
+
+    // 2) login
+    const loginRes = await this.eduClient.login({
+      username: this.config.username,
+      password: this.config.password,
+      userToken: tokRes.token,
+      edupage: schoolSubdomain,
+      ctxt: ctxt || '',
+      tu: md?.tu ?? null,
+      gu: guPath,          // <-- IMPORTANT
+      au: md?.au ?? null,
+    });
+
+    const errText = loginRes?.err?.error_text || '';
+    const needCaptcha = /verdächtige|zusätzlich überprüfen|Text aus dem Bild|captcha/i.test(errText);
+
+    if (needCaptcha || loginRes?.needCaptcha === '1' || loginRes?.captchaSrc) {
+      const captchaUrl = this.makeAbsoluteUrl(loginRes?.captchaSrc || '');
+      await this.handleCaptcha(captchaUrl || null, { md, schoolSubdomain });
+      return null;
     }
+
+    if (loginRes?.status !== 'OK') {
+      throw new Error(loginRes?.err?.error_text || 'Login failed');
+    }
+
+    this.log.debug('Logged in to EduPage (new session)');
+    this.captchaCount = 0;
+    this.pendingCaptcha = null; // altes Captcha gilt nicht mehr
+    this.eduHttp.resetEq(); // nach einer eq-Ablehnung beim nächsten Login wieder eq versuchen
+
+    // 3) warmup timetable (sets context; also helps _gsh extraction)
+    const page = await this.eduClient.warmUpTimetable({ guPath });
+    await this.updateStudents(md, loginRes, page);
+
+    return {
+      guPath,
+      gsh: this.eduClient.extractGsh(page),
+      schoolYear: this.eduClient.extractSchoolYear(page),
+      loggedInAt: Date.now(),
+      reused: false,
+    };
+  }
+
+  getSessionFile() {
+    return path.join(utils.getAbsoluteInstanceDataDir(this), 'session.json');
+  }
+
+  async loadSession() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.getSessionFile(), 'utf8'));
+      // nur für dieselbe Schule / denselben Benutzer
+      if (data?.baseUrl !== this.eduHttp.baseUrl || data?.username !== this.config.username || !data?.cookies) return;
+
+      this.eduHttp.importCookies(data.cookies);
+      this.session = {
+        guPath: data.guPath,
+        gsh: data.gsh || null,
+        schoolYear: data.schoolYear || null,
+        loggedInAt: Number(data.loggedInAt) || 0,
+        reused: true,
+      };
+      this.log.debug('Stored EduPage session loaded');
+    } catch (e) {
+      if (e?.code !== 'ENOENT') this.log.debug(`Could not load stored session: ${e?.message || e}`);
+    }
+  }
+
+  async saveSession() {
+    if (!this.session) return;
+    try {
+      const file = this.getSessionFile();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const data = {
+        baseUrl: this.eduHttp.baseUrl,
+        username: this.config.username,
+        cookies: this.eduHttp.exportCookies(),
+        guPath: this.session.guPath,
+        gsh: this.session.gsh,
+        schoolYear: this.session.schoolYear || null,
+        loggedInAt: this.session.loggedInAt,
+      };
+      await fs.promises.writeFile(file, JSON.stringify(data), { mode: 0o600 });
+    } catch (e) {
+      this.log.debug(`Could not store session: ${e?.message || e}`);
+    }
+  }
+
+  async dropSession() {
+    this.session = null;
+    this.eduHttp?.clearCookies();
+    await fs.promises.rm(this.getSessionFile(), { force: true }).catch(() => {});
+  }
+
+  async updateStudents(...sources) {
+    const found = findStudents(...sources);
+    if (!found.length) return;
+
+    this.students = found;
+    await this.setStateAsync('meta.students', JSON.stringify(found), true);
+  }
+
+  async syncMessages(home) {
+    const limit = Math.max(1, Number(this.config.messagesCount) || 20);
+    const list = parseMessages(home.items, { toUrl: u => this.makeAbsoluteUrl(u), limit });
+
+    const seenState = await this.getStateAsync('messages.seenIds');
+    let seen = null;
+    try {
+      seen = seenState?.val ? new Set(JSON.parse(seenState.val)) : null;
+    } catch {
+      seen = null;
+    }
+
+    // erster Lauf: alles Vorhandene gilt als gesehen
+    const fresh = seen ? list.filter(m => !seen.has(m.id)) : [];
+    const ids = [...new Set([...list.map(m => m.id), ...(seen || [])])].slice(0, 500);
+
+    await this.setStateAsync('messages.json', JSON.stringify(list), true);
+    await this.setStateAsync('messages.seenIds', JSON.stringify(ids), true);
+
+    if (fresh.length) {
+      const unread = await this.getStateAsync('messages.unread');
+      await this.setStateAsync('messages.unread', (Number(unread?.val) || 0) + fresh.length, true);
+      this.log.info(`${fresh.length} new EduPage message(s)`);
+
+      if (this.config.notifyMessages) {
+        const text = fresh.map(m => `${m.sender ? `${m.sender}: ` : ''}${m.title}`).join('\n');
+        await this.notify('EduPage: new messages', text);
+      }
+    } else if (!seen) {
+      await this.setStateAsync('messages.unread', 0, true);
+    }
+  }
+
+  async syncLunch({ today, tomorrow }) {
+    const data = await this.eduClient.getLunchMenu({ date: today });
+    const days = { today: parseLunchDay(data, today), tomorrow: parseLunchDay(data, tomorrow) };
+
+    // Seite enthält meist die ganze Woche, sonst morgen extra holen
+    if (!canteenData(data)?.novyListok?.[tomorrow]) {
+      days.tomorrow = parseLunchDay(await this.eduClient.getLunchMenu({ date: tomorrow }), tomorrow);
+    }
+
+    for (const [day, l] of Object.entries(days)) {
+      await this.setStateAsync(`lunch.${day}.served`, l.served, true);
+      await this.setStateAsync(`lunch.${day}.menu`, menuText(l), true);
+      await this.setStateAsync(`lunch.${day}.json`, JSON.stringify(l), true);
+      await this.setStateAsync(`lunch.${day}.ordered`, l.ordered, true);
+      await this.setStateAsync(`lunch.${day}.signedOff`, l.signedOff, true);
+      await this.setStateAsync(`lunch.${day}.choice`, l.choice, true);
+      await this.setStateAsync(`lunch.${day}.changeUntil`, l.changeUntil, true);
+    }
+    await this.setStateAsync('lunch.tomorrow.orderMissing', days.tomorrow.served && !days.tomorrow.ordered && !days.tomorrow.signedOff, true);
+  }
+
+  async syncGrades(target) {
+    const p = target.prefix;
+    const data = await this.eduClient.getGradeBook({ studentId: target.id });
+    const grades = parseGrades(data);
+
+    // vorherige Liste aus dem State -> neue Noten erkennen (auch nach Neustart)
+    const prevState = await this.getStateAsync(`${p}grades.json`);
+    let prevIds = null;
+    try {
+      prevIds = prevState?.val ? new Set(JSON.parse(prevState.val).map(g => g.id)) : null;
+    } catch {
+      prevIds = null;
+    }
+    const fresh = prevIds ? grades.filter(g => !prevIds.has(g.id)) : [];
+    if (fresh.length) {
+      this.log.info(`New grades${target.alias ? ` (${target.alias})` : ''}: ${fresh.map(g => `${g.subject} ${g.value}`).join(', ')}`);
+    }
+
+    for (const s of gradesBySubject(grades)) {
+      const base = `${p}grades.${s.subject.replace(this.FORBIDDEN_CHARS, '_').replace(/[.\s]+/g, '_') || 'unknown'}`;
+      await this.setObjectNotExistsAsync(base, { type: 'channel', common: { name: s.subject }, native: {} });
+      for (const [id, type, name] of [
+        ['latest', 'string', 'Latest grade'],
+        ['average', 'number', 'Average (weighted)'],
+        ['count', 'number', 'Number of grades'],
+      ]) {
+        await this.ensureState(`${base}.${id}`, type, `${s.subject}: ${name}`);
+      }
+      await this.setStateAsync(`${base}.latest`, s.latest, true);
+      await this.setStateAsync(`${base}.average`, s.average, true);
+      await this.setStateAsync(`${base}.count`, s.count, true);
+    }
+
+    await this.setStateAsync(`${p}grades.latest`, JSON.stringify(grades.slice(0, 10)), true);
+    await this.setStateAsync(`${p}grades.json`, JSON.stringify(grades), true);
+    await this.setStateAsync(`${p}grades.newSinceLastSync`, fresh.length > 0, true);
+  }
+
+  // ---- iCalendar export (State, Dateiablage, optional lokaler HTTP-Feed) ----
+  icsFileName(target) {
+    if (!target.alias) return 'timetable.ics';
+    return target.type === 'student' ? `timetable_${target.alias}.ics` : `timetable_${target.type}_${target.alias}.ics`;
+  }
+
+  async exportIcs(model, target) {
+    const ics = buildIcs(model, {
+      name: `EduPage${target.alias ? ` ${target.alias}` : ''}`,
+      domain: `${this.namespace}.iobroker`,
+    });
+    const file = this.icsFileName(target);
+    this.icsFiles.set(file, ics);
+
+    await this.setStateAsync(`${target.prefix}export.ics`, ics, true);
+
+    try {
+      await this.setForeignObjectNotExistsAsync(this.namespace, {
+        type: 'meta',
+        common: { name: 'EduPage files', type: 'meta.user' },
+        native: {},
+      });
+      await this.writeFileAsync(this.namespace, file, ics);
+    } catch (e) {
+      this.log.warn(`Could not write ${file} to file store: ${e?.message || e}`);
+    }
+  }
+
+  startIcsServer() {
+    const port = Number(this.config.icsPort) || 0;
+    if (!port) return;
+
+    const bind = (this.config.icsBind || '127.0.0.1').toString().trim();
+
+    this.icsServer = http.createServer((req, res) => {
+      let name;
+      try {
+        name = decodeURIComponent((req.url || '/').split('?')[0].replace(/^\/+/, '')) || 'timetable.ics';
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+      }
+      const ics = this.icsFiles.get(name);
+      // keine Liste der Dateien: die Namen enthalten die Aliase (meist Vornamen)
+      if (req.method !== 'GET' || !ics) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${name}"`,
+      });
+      res.end(ics);
+    });
+
+    this.icsServer.on('error', e => this.log.error(`ICS server on port ${port}: ${e?.message || e}`));
+    this.icsServer.listen(port, bind, () =>
+      this.log.info(`ICS feed available on http://${bind === '0.0.0.0' ? '<host>' : bind}:${port}/timetable.ics`)
+    );
   }
 
   makeAbsoluteUrl(path) {
@@ -252,79 +1015,382 @@ class Edupage extends utils.Adapter {
     return base + (path.startsWith('/') ? path : `/${path}`);
   }
 
-  async handleCaptcha(captchaUrl) {
+  async handleCaptcha(captchaUrl, ctx = null) {
     await this.setStateAsync('meta.captchaRequired', true, true);
     await this.setStateAsync('meta.captchaUrl', captchaUrl || '', true);
 
-    this.captchaBackoffUntil = Date.now() + 60 * 60 * 1000;
+    // Backoff aus der Config, verdoppelt sich bei jedem weiteren Captcha (max. 24 h)
+    const baseMin = Math.max(5, Number(this.config.captchaBackoffMin) || 60);
+    const mins = Math.min(24 * 60, baseMin * 2 ** this.captchaCount);
+    this.captchaCount++;
+    this.captchaBackoffUntil = Date.now() + mins * 60 * 1000;
     await this.setStateAsync('meta.captchaUntil', this.captchaBackoffUntil, true);
+    this.log.warn(`[Backoff] No EduPage requests for ${mins} min (captcha #${this.captchaCount}).`);
 
+    this.pendingCaptcha = ctx;
+
+    // Bild mit denselben Cookies laden, sonst passt der Text nicht zur Session
+    let image = '';
     if (captchaUrl) {
+      try {
+        const img = await this.eduHttp.getBinary(captchaUrl, { headers: { Accept: 'image/*' } });
+        image = `data:${img.contentType.split(';')[0] || 'image/png'};base64,${img.data.toString('base64')}`;
+      } catch (e) {
+        this.log.warn(`Could not download captcha image: ${e?.message || e}`);
+      }
+    }
+    await this.setStateAsync('meta.captchaImage', image, true);
+
+    if (image) {
+      this.log.error(
+        'Captcha nötig / verdächtige Aktivität erkannt. Bild siehe State meta.captchaImage, den Text in meta.captchaSolution (oder in den Adapter-Einstellungen) eingeben.'
+      );
+    } else if (captchaUrl) {
       this.log.error(
         `Captcha nötig / verdächtige Aktivität erkannt. Öffne diese URL im Browser, gib das Passwort erneut ein und tippe den Text aus dem Bild ein: ${captchaUrl}`
       );
     } else {
       this.log.error('Captcha nötig / verdächtige Aktivität erkannt. Bitte im Browser bei EduPage erneut anmelden und Captcha lösen.');
     }
+  }
+
+  // Login mit Captcha-Text wiederholen, danach normal weiter synchronisieren
+  async solveCaptcha(text) {
+    const ctxt = (text || '').toString().trim();
+    if (!ctxt) return { ok: false, error: 'Empty captcha text' };
+    if (!this.pendingCaptcha || !this.eduClient) return { ok: false, error: 'No captcha pending' };
+
+    const { schoolSubdomain } = this.pendingCaptcha;
+    let session;
+    try {
+      session = await this.exclusive(() => this.loginSession({ schoolSubdomain, ctxt, ctx: this.pendingCaptcha }));
+    } catch (e) {
+      const msg = String(e?.message || e);
+      await this.setStateAsync('meta.lastError', msg, true);
+      return { ok: false, error: msg };
+    }
+    if (!session) return { ok: false, error: 'Captcha text not accepted, new captcha loaded' };
+
+    this.log.info('Captcha solved, login successful.');
+    this.pendingCaptcha = null;
+    this.captchaBackoffUntil = 0;
+    this.captchaCount = 0;
+    await this.setStateAsync('meta.captchaUntil', 0, true);
+    await this.setStateAsync('meta.captchaRequired', false, true);
+    await this.setStateAsync('meta.captchaUrl', '', true);
+    await this.setStateAsync('meta.captchaImage', '', true);
+
+    this.session = session;
+    await this.saveSession();
 
-    if (this.stopOnCaptcha) {
-      this.log.warn('Stopping adapter due to captcha requirement (manual restart after captcha solved).');
-      if (this.timer) {
-        clearInterval(this.timer);
-        this.timer = null;
+    this.runSync().catch(e => this.log.warn(`Sync failed: ${e?.message || e}`));
+    return { ok: true };
+  }
+
+  // Verbindungstest aus dem Admin: Zugangsdaten nur aus der Nachricht, nie die gespeicherten
+  async connectionTest(m) {
+    const creds = {};
+    for (const key of ['baseUrl', 'username', 'password']) {
+      creds[key] = typeof m[key] === 'string' ? m[key] : '';
+      if (!creds[key].trim()) return { error: `Please enter ${key}` };
+    }
+    if (this.captchaBackoffUntil && Date.now() < this.captchaBackoffUntil) {
+      const mins = Math.ceil((this.captchaBackoffUntil - Date.now()) / 60000);
+      return { error: `EduPage asked for a captcha, no login attempts for ~${mins} min. Solve the captcha first.` };
+    }
+
+    const res = await testConnection(
+      { studentId: this.config.studentId, targetType: this.config.targetType, gsh: this.config.gsh, timezone: this.config.timezone, ...m, ...creds },
+      { log: this.log, transport: m.transport || this.config.transport, minInterval: this.config.requestDelay ?? 500 }
+    );
+    this.log.info(`Connection test: ${res.status}`);
+    const text = formatResult(res);
+    return res.ok ? { result: text } : { error: text };
+  }
+
+  async onStateChange(id, state) {
+    if (!state || state.ack) return;
+
+    if (id === `${this.namespace}.meta.captchaSolution`) {
+      const res = await this.solveCaptcha(state.val);
+      if (!res.ok) this.log.warn(`Captcha: ${res.error}`);
+      await this.setStateAsync('meta.captchaSolution', '', true);
+    } else if (id === `${this.namespace}.messages.markRead`) {
+      await this.setStateAsync('messages.unread', 0, true);
+      await this.setStateAsync('messages.markRead', false, true);
+    } else if (id === `${this.namespace}.control.refresh`) {
+      await this.setStateAsync('control.refresh', false, true);
+      await this.runSync().catch(e => this.log.warn(`Sync failed: ${e?.message || e}`));
+    } else if (id === `${this.namespace}.control.resetSession`) {
+      await this.setStateAsync('control.resetSession', false, true);
+      this.log.info('Session reset requested, logging in again.');
+      await this.exclusive(() => this.dropSession());
+      await this.runSync().catch(e => this.log.warn(`Sync failed: ${e?.message || e}`));
+    } else if (id === `${this.namespace}.control.fetchDate`) {
+      if (!state.val) return;
+      try {
+        await this.fetchCustom(state.val);
+        await this.setStateAsync('control.fetchDate', state.val, true);
+      } catch (e) {
+        this.log.warn(`fetchDate ${state.val}: ${e?.message || e}`);
+        await this.setStateAsync('meta.lastError', String(e?.message || e), true);
       }
-      this.terminate?.('Captcha required by EduPage').catch(() => {});
     }
   }
 
+  // Jetzt in der Zeitzone der Schule: { date, time }
+  now() {
+    return zonedNow(new Date(), this.timeZone || systemTimeZone());
+  }
+
   emptyModel() {
-    const today = new Date();
-    const tomorrow = new Date(Date.now() + 86400000);
+    const { date } = this.now();
     return {
-      today: { date: today.toISOString().slice(0, 10), lessons: [], ferien: '' },
-      tomorrow: { date: tomorrow.toISOString().slice(0, 10), lessons: [], ferien: '' },
+      today: { date, lessons: [], ferien: '' },
+      tomorrow: { date: addDays(date, 1), lessons: [], ferien: '' },
+      week: null,
+      nextWeek: null,
       next: null,
     };
   }
 
-  parseCurrentTt(ttRes) {
+  parseCurrentTt(ttRes, { monday, table } = {}) {
     const model = this.emptyModel();
-    const r = ttRes?.r || ttRes?.data?.r || ttRes || {};
-    const items = r?.ttitems || [];
+    const { lessonsByDate, eventsByDate } = parseTtItems(ttRes, { table });
 
-    const byDateEvent = new Map();
-    for (const it of items) {
-      if (it?.type === 'event' && it?.date && it?.name) {
-        if (!byDateEvent.has(it.date)) byDateEvent.set(it.date, it.name);
-      }
+    for (const day of ['today', 'tomorrow']) {
+      const d = model[day];
+      d.lessons = lessonsByDate.get(d.date) || [];
+      d.ferien = eventsByDate.get(d.date) || '';
+    }
+
+    if (monday) {
+      model.week = buildWeek(lessonsByDate, eventsByDate, monday);
+      if (this.nextWeek) model.nextWeek = buildWeek(lessonsByDate, eventsByDate, addDays(monday, 7));
     }
-    model.today.ferien = byDateEvent.get(model.today.date) || '';
-    model.tomorrow.ferien = byDateEvent.get(model.tomorrow.date) || '';
 
     return model;
   }
 
-  async writeModel(model) {
-    await this.setStateAsync('today.date', model.today.date, true);
-    await this.setStateAsync('tomorrow.date', model.tomorrow.date, true);
-    await this.setStateAsync('today.ferien', model.today.ferien || '', true);
-    await this.setStateAsync('tomorrow.ferien', model.tomorrow.ferien || '', true);
+  async writeModel(model, p = '') {
+    await this.setStateAsync(`${p}today.date`, model.today.date, true);
+    await this.setStateAsync(`${p}tomorrow.date`, model.tomorrow.date, true);
+    await this.setStateAsync(`${p}today.ferien`, model.today.ferien || '', true);
+    await this.setStateAsync(`${p}tomorrow.ferien`, model.tomorrow.ferien || '', true);
+
+    for (const day of ['today', 'tomorrow']) {
+      const lessons = model[day].lessons || [];
+      await this.writeLessons(`${p}${day}.lessons`, lessons);
+      await this.setStateAsync(`${p}${day}.json`, JSON.stringify(dayJson(model[day])), true);
+      await this.setStateAsync(`${p}${day}.html`, dayHtml(model[day], this.htmlOptions()), true);
+
+      const subs = listSubstitutions(lessons);
+      await this.setStateAsync(`${p}substitutions.${day}.count`, subs.length, true);
+      await this.setStateAsync(`${p}substitutions.${day}.json`, JSON.stringify(subs), true);
+    }
+
+    for (const prefix of ['week', 'nextWeek']) {
+      if (model[prefix]) await this.writeWeek(`${p}${prefix}`, model[prefix]);
+    }
 
-    const n = model.next || {};
-    await this.setStateAsync('next.when', n.when || '', true);
-    await this.setStateAsync('next.subject', n.subject || '', true);
-    await this.setStateAsync('next.room', n.room || '', true);
-    await this.setStateAsync('next.teacher', n.teacher || '', true);
-    await this.setStateAsync('next.start', n.start || '', true);
-    await this.setStateAsync('next.end', n.end || '', true);
-    await this.setStateAsync('next.changed', !!n.changed, true);
-    await this.setStateAsync('next.canceled', !!n.canceled, true);
-    await this.setStateAsync('next.changeText', n.changeText || '', true);
+    await this.writeNow(model, p);
+  }
+
+  // CSS-Klassen der HTML-Widgets aus der Config (leer = Standard)
+  htmlOptions() {
+    return {
+      classes: {
+        table: this.config.htmlClassTable,
+        canceled: this.config.htmlClassCanceled,
+        changed: this.config.htmlClassChanged,
+      },
+      inline: this.config.htmlInlineStyle !== false,
+    };
+  }
+
+  async tick() {
+    for (const t of this.targets) {
+      const model = this.lastModels.get(t.prefix);
+      if (model) await this.writeNow(model, t.prefix);
+    }
+  }
+
+  // Momentaufnahme: now.*, next.*, Tageszusammenfassung (nur geänderte Werte schreiben)
+  async writeNow(model, p = '') {
+    const { date, time: hhmm } = this.now();
+    const set = (id, val) => this.setStateChangedAsync(`${p}${id}`, val, true);
+
+    const st = currentStatus(model, date, hhmm);
+    const l = st.lesson || {};
+    await set('now.inLesson', st.inLesson);
+    await set('now.isBreak', st.isBreak);
+    await set('now.subject', l.subject || '');
+    await set('now.room', l.room || '');
+    await set('now.teacher', l.teacher || '');
+    await set('now.start', l.start || '');
+    await set('now.end', l.end || '');
+    await set('now.minutesUntilNext', st.minutesUntilNext);
+
+    const days = collectDays(model);
+    for (const [day, dt] of [['today', date], ['tomorrow', addDays(date, 1)]]) {
+      const s = daySummary(days.get(dt));
+      await set(`${day}.isSchoolDay`, s.isSchoolDay);
+      await set(`${day}.firstStart`, s.firstStart);
+      await set(`${day}.lastEnd`, s.lastEnd);
+    }
+
+    const n = st.next || {};
+    const when = !st.next ? '' : st.nextDate === date ? 'today' : st.nextDate === addDays(date, 1) ? 'tomorrow' : 'week';
+    await set('next.when', when);
+    await set('next.subject', n.subject || '');
+    await set('next.room', n.room || '');
+    await set('next.teacher', n.teacher || '');
+    await set('next.start', n.start || '');
+    await set('next.end', n.end || '');
+    await set('next.changed', !!n.changed);
+    await set('next.canceled', !!n.canceled);
+    await set('next.changeText', n.changeText || '');
+  }
+
+  async writeWeek(prefix, week) {
+    await this.setStateAsync(`${prefix}.dateFrom`, week.dateFrom, true);
+    await this.setStateAsync(`${prefix}.dateTo`, week.dateTo, true);
+    await this.setStateAsync(`${prefix}.json`, JSON.stringify(weekJson(week)), true);
+    await this.setStateAsync(`${prefix}.html`, weekHtml(week, this.htmlOptions()), true);
+    for (const wd of WEEKDAYS) {
+      const d = week.days[wd];
+      await this.setStateAsync(`${prefix}.${wd}.date`, d.date, true);
+      await this.setStateAsync(`${prefix}.${wd}.ferien`, d.ferien || '', true);
+      await this.writeLessons(`${prefix}.${wd}.lessons`, d.lessons);
+    }
+  }
+
+  // Slots nur so viele wie Stunden (max. maxLessons) anlegen; übrige vorhandene leeren
+  async writeLessons(base, lessons) {
+    if (lessons.length > this.maxLessons) {
+      this.log.warn(`${base}: ${lessons.length} lessons found, only ${this.maxLessons} slots (see maxLessons).`);
+    }
+    const n = Math.min(lessons.length, this.maxLessons);
+    const known = this.slots.get(base) || 0;
+    for (let i = known; i < n; i++) await this.ensureLessonStates(`${base}.${i}`);
+    if (n > known) this.slots.set(base, n);
+
+    for (let i = 0; i < Math.max(n, known); i++) {
+      await this.writeLesson(`${base}.${i}`, lessons[i]);
+    }
+  }
+
+  // leere Slots werden zurückgesetzt, damit keine alten Werte stehen bleiben
+  async writeLesson(base, l) {
+    const x = l || {};
+    await this.setStateAsync(`${base}.exists`, !!l, true);
+    await this.setStateAsync(`${base}.date`, x.date || '', true);
+    await this.setStateAsync(`${base}.start`, x.start || '', true);
+    await this.setStateAsync(`${base}.end`, x.end || '', true);
+    await this.setStateAsync(`${base}.subject`, x.subject || '', true);
+    await this.setStateAsync(`${base}.room`, x.room || '', true);
+    await this.setStateAsync(`${base}.teacher`, x.teacher || '', true);
+    await this.setStateAsync(`${base}.classes`, x.classes || '', true);
+    await this.setStateAsync(`${base}.groups`, x.groups || '', true);
+    await this.setStateAsync(`${base}.info`, x.info || '', true);
+    await this.setStateAsync(`${base}.changed`, !!x.changed, true);
+    await this.setStateAsync(`${base}.canceled`, !!x.canceled, true);
+    await this.setStateAsync(`${base}.changeText`, x.changeText || '', true);
+    await this.setStateAsync(`${base}.type`, x.type || '', true);
+  }
+
+  // Vergleich mit dem letzten Sync -> events.* und optional Nachricht
+  async publishChanges(model, target) {
+    const p = target.prefix;
+    const prev = this.lastModels.get(p);
+    this.lastModels.set(p, model);
+    if (!prev) return;
+
+    const events = diffModels(prev, model);
+    if (!events.length) return;
+
+    this.log.info(`Timetable${target.alias ? ` (${target.alias})` : ''} changed since last sync: ${events.length} change(s)`);
+    await this.setStateAsync(`${p}events.lastChange`, JSON.stringify({ ts: Date.now(), changes: events }), true);
+
+    const cnt = await this.getStateAsync(`${p}events.changeCount`);
+    await this.setStateAsync(`${p}events.changeCount`, (Number(cnt?.val) || 0) + events.length, true);
+
+    const texts = events.filter(ev => ev.day === 'tomorrow' && isNotifiable(ev)).map(formatEvent);
+    if (texts.length) {
+      const title = `EduPage${target.alias ? ` (${target.alias})` : ''}: timetable changed for tomorrow`;
+      await this.notify(title, texts.join('\n'));
+    }
+  }
+
+  async notify(title, text) {
+    const instance = (this.config.notifyInstance || '').toString().trim();
+    if (!instance) return;
+
+    // telegram/pushover/email erwarten unterschiedliche Felder
+    const adapter = instance.split('.')[0];
+    let payload;
+    if (adapter === 'telegram') payload = { text: `${title}\n${text}` };
+    else if (adapter === 'pushover') payload = { title, message: text };
+    else if (adapter === 'email') payload = { subject: title, text };
+    else payload = { title, text, message: text };
+
+    try {
+      await this.sendToAsync(instance, 'send', payload);
+    } catch (e) {
+      this.log.warn(`Notification via ${instance} failed: ${e?.message || e}`);
+    }
+  }
+
+  async onMessage(obj) {
+    if (!obj?.command) return;
+
+    switch (obj.command) {
+      case 'getStudents': {
+        // Admin-Dropdown (autocompleteSendTo)
+        const list = this.students.map(s => ({
+          label: `${s.name || s.id}${s.className ? ` (${s.className})` : ''} – ${s.id}`,
+          value: s.id,
+        }));
+        if (obj.callback) this.sendTo(obj.from, obj.command, list, obj.callback);
+        break;
+      }
+      case 'solveCaptcha': {
+        const res = await this.solveCaptcha(obj.message?.text);
+        const reply = res.ok ? { result: 'Login successful' } : { error: res.error };
+        if (obj.callback) this.sendTo(obj.from, obj.command, reply, obj.callback);
+        break;
+      }
+      case 'testConnection': {
+        // Admin-Button: Formularwerte prüfen, nichts speichern, keinen Sync starten
+        const reply = await this.connectionTest(obj.message || {});
+        if (obj.callback) this.sendTo(obj.from, obj.command, reply, obj.callback);
+        break;
+      }
+      case 'getTimetable': {
+        // sendTo('edupage.0', 'getTimetable', { from, to, target })
+        const m = obj.message || {};
+        let reply;
+        try {
+          const target = m.target ? this.targets.find(t => t.alias === m.target || String(t.id) === String(m.target)) : undefined;
+          if (m.target && !target) throw new Error(`Unknown target ${m.target}`);
+          const { from, to, target: t, days } = await this.fetchRange(m, target);
+          reply = { ...rangeJson(days, from, to), target: { type: t.type, alias: t.alias, id: t.id } };
+        } catch (e) {
+          reply = { error: String(e?.message || e) };
+        }
+        if (obj.callback) this.sendTo(obj.from, obj.command, reply, obj.callback);
+        break;
+      }
+      default:
+        if (obj.callback) this.sendTo(obj.from, obj.command, { error: `Unknown command ${obj.command}` }, obj.callback);
+    }
   }
 
   onUnload(callback) {
     try {
       if (this.timer) clearInterval(this.timer);
+      if (this.ticker) clearInterval(this.ticker);
+      if (this.icsServer) this.icsServer.close();
       callback();
     } catch {
       callback();
@@ -0,0 +1,235 @@
+'use strict';
+
+const net = require('net');
+const { expect } = require('chai');
+const { EdupageHttp } = require('../lib/edupageHttp');
+const { EdupageClient } = require('../lib/edupageClient');
+const { createMockEdupage, loadFixture } = require('./mockEdupage');
+const { loadAdapter } = require('./fakeAdapter');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Adapter mit Fake-Core gegen den Mock-Server, ohne onReady (keine Timer/Server)
+async function setup(opts, config = {}) {
+  const mock = createMockEdupage(opts);
+  const baseUrl = await mock.start();
+  const adapter = loadAdapter({ baseUrl, username: 'user', password: 'secret', ...config });
+  adapter.eduHttp = new EdupageHttp({ baseUrl, log, minInterval: 0 });
+  adapter.eduClient = new EdupageClient({ http: adapter.eduHttp, log });
+  adapter.syncOptions = { schoolSubdomain: '', weekView: false };
+  return { mock, adapter };
+}
+
+function freePort() {
+  return new Promise(resolve => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+describe('adapter', () => {
+  let ctx;
+  afterEach(async () => {
+    if (ctx) {
+      await ctx.mock.stop();
+      ctx.adapter.cleanup();
+    }
+    ctx = null;
+  });
+
+  describe('targets', () => {
+    it('builds one channel per configured student, teacher or class', async () => {
+      ctx = await setup({}, {
+        students: [
+          { id: '1234', alias: 'Anna Lena', type: 'student' },
+          { id: '-21', alias: 'mr.one', type: 'teacher' },
+          { id: '-41', type: 'class' },
+          { id: '88', alias: 'Anna.Lena', type: 'student' }, // gleicher Alias wie oben
+          { id: '', alias: 'empty' },
+          { id: '99', alias: 'Bad*Name', type: 'unknown' },
+        ],
+      });
+      expect(ctx.adapter.getTargets()).to.deep.equal([
+        { id: '1234', alias: 'Anna_Lena', type: 'student', folder: 'students', prefix: 'students.Anna_Lena.' },
+        { id: '-21', alias: 'mr_one', type: 'teacher', folder: 'teachers', prefix: 'teachers.mr_one.' },
+        { id: '-41', alias: '-41', type: 'class', folder: 'classes', prefix: 'classes.-41.' },
+        { id: '99', alias: 'Bad_Name', type: 'student', folder: 'students', prefix: 'students.Bad_Name.' },
+      ]);
+    });
+
+    it('falls back to the single studentId at the root', async () => {
+      ctx = await setup({}, { studentId: ' 1234 ', targetType: 'teacher' });
+      expect(ctx.adapter.getTargets()).to.deep.equal([{ id: '1234', alias: '', type: 'teacher', folder: '', prefix: '' }]);
+
+      ctx.adapter.config = { students: [] };
+      expect(ctx.adapter.getTargets()).to.deep.equal([{ id: '', alias: '', type: 'student', folder: '', prefix: '' }]);
+    });
+  });
+
+  describe('captcha', () => {
+    it('keeps the cookies of the captcha login until it is solved', async () => {
+      ctx = await setup({ captcha: true });
+      const { adapter } = ctx;
+      let syncs = 0;
+      adapter.runSync = async () => syncs++;
+
+      expect(await adapter.ensureSession({ schoolSubdomain: '' })).to.equal(null);
+      expect(adapter.pendingCaptcha).to.not.equal(null);
+      expect(adapter.captchaBackoffUntil).to.be.above(Date.now());
+      expect((await adapter.getStateAsync('meta.captchaImage')).val).to.match(/^data:image\/png;base64,/);
+
+      const res = await adapter.solveCaptcha('x7k2');
+      expect(res).to.deep.equal({ ok: true });
+      expect(adapter.session.guPath).to.match(/\/dashboard\/eb\.php/);
+      expect(adapter.captchaBackoffUntil).to.equal(0);
+      expect(syncs).to.equal(1);
+    });
+  });
+
+  describe('captcha cleared by a normal login', () => {
+    it('forgets the pending captcha', async () => {
+      ctx = await setup({ captcha: true });
+      const { adapter, mock } = ctx;
+      expect(await adapter.ensureSession({ schoolSubdomain: '' })).to.equal(null);
+      expect(adapter.pendingCaptcha).to.not.equal(null);
+
+      // Captcha verschwindet von selbst, Backoff abgelaufen
+      mock.options.captcha = false;
+      adapter.captchaBackoffUntil = 0;
+      expect(await adapter.ensureSession({ schoolSubdomain: '', force: true })).to.not.equal(null);
+      expect(adapter.pendingCaptcha).to.equal(null);
+      expect(await adapter.solveCaptcha('x7k2')).to.deep.equal({ ok: false, error: 'No captcha pending' });
+    });
+  });
+
+  describe('states', () => {
+    it('creates the account-wide lunch states once', async () => {
+      ctx = await setup({}, { enableLunch: true });
+      const { adapter } = ctx;
+      adapter.targets = [
+        { id: '1234', alias: 'anna', type: 'student', folder: 'students', prefix: 'students.anna.' },
+        { id: '88', alias: 'ben', type: 'student', folder: 'students', prefix: 'students.ben.' },
+      ];
+      const created = [];
+      const ensureState = adapter.ensureState.bind(adapter);
+      adapter.ensureState = (id, ...rest) => {
+        created.push(id);
+        return ensureState(id, ...rest);
+      };
+      await adapter.ensureStates();
+      expect(created.filter(id => id === 'lunch.today.menu')).to.have.length(1);
+      expect(created.filter(id => id.includes('lunch.') && !id.startsWith('lunch.'))).to.deep.equal([]);
+      expect([...adapter.objects.keys()]).to.include('lunch.tomorrow.orderMissing');
+    });
+  });
+
+  describe('session', () => {
+    it('restores the stored session after a restart without logging in', async () => {
+      ctx = await setup({ fixture: loadFixture('currenttt-school-a.json') });
+      const { adapter, mock } = ctx;
+      expect((await adapter.ensureSession({ schoolSubdomain: '' })).reused).to.equal(false);
+      expect(mock.state.logins).to.equal(1);
+
+      // neue Instanz mit demselben Datenverzeichnis
+      const next = loadAdapter(adapter.config);
+      next.dataDir = adapter.dataDir;
+      next.eduHttp = new EdupageHttp({ baseUrl: adapter.config.baseUrl, log, minInterval: 0 });
+      next.eduClient = new EdupageClient({ http: next.eduHttp, log });
+      next.syncOptions = adapter.syncOptions;
+      next.targets = [{ id: '1234', alias: '', type: 'student', folder: '', prefix: '' }];
+
+      const range = await next.fetchRange('2026-10-19');
+      expect(next.session.reused).to.equal(true);
+      expect(range.days[0].lessons).to.not.be.empty;
+      expect(mock.state.logins).to.equal(1);
+    });
+
+    it('logs in again when the stored session expired', async () => {
+      ctx = await setup({ fixture: loadFixture('currenttt-school-a.json'), userhome: loadFixture('userhome-school-a.json') }, { enableHomework: true });
+      const { adapter, mock } = ctx;
+      adapter.targets = [{ id: '1234', alias: '', type: 'student', folder: '', prefix: '' }];
+      await adapter.ensureSession({ schoolSubdomain: '' });
+
+      // Stundenplan geht noch, danach verwirft EduPage die Session
+      const syncTarget = adapter.syncTarget.bind(adapter);
+      adapter.syncTarget = async (...args) => {
+        const model = await syncTarget(...args);
+        mock.state.sessions.clear();
+        return model;
+      };
+      await adapter.syncOnce(adapter.syncOptions);
+
+      expect(mock.state.logins).to.equal(2);
+      expect(adapter.session.reused).to.equal(false);
+      expect((await adapter.getStateAsync('homework.json')).val).to.contain('Aufsatz');
+    });
+  });
+
+  describe('on-demand requests', () => {
+    it('runs range requests and syncs one after another with one login', async () => {
+      ctx = await setup({ fixture: loadFixture('currenttt-school-a.json') });
+      const { adapter, mock } = ctx;
+      adapter.targets = [{ id: '1234', alias: '', type: 'student', folder: '', prefix: '' }];
+
+      // Timer-Sync startet, während die Abfrage noch anmeldet
+      const [range] = await Promise.all([adapter.fetchRange('2026-10-19..2026-10-20'), adapter.runSync(), adapter.runSync()]);
+      expect(mock.state.logins).to.equal(1);
+      expect(range.days.map(d => d.date)).to.deep.equal(['2026-10-19', '2026-10-20']);
+      expect(range.days[0].lessons).to.not.be.empty;
+      expect(mock.state.requests.filter(r => r.url.includes('akcia=login'))).to.have.length(1);
+    });
+  });
+
+  describe('connection test', () => {
+    it('never falls back to the stored credentials', async () => {
+      ctx = await setup({}, { requestDelay: 0 });
+      const { adapter, mock } = ctx;
+      const reply = await adapter.connectionTest({ baseUrl: adapter.config.baseUrl });
+      expect(reply.error).to.match(/username/);
+      expect((await adapter.connectionTest({ baseUrl: adapter.config.baseUrl, username: 'user' })).error).to.match(/password/);
+      expect(mock.state.requests).to.have.length(0);
+
+      const ok = await adapter.connectionTest({ baseUrl: adapter.config.baseUrl, username: 'user', password: 'secret' });
+      expect(ok.result).to.contain('_gsh: abcd1234');
+    });
+
+    it('does not log in during a captcha backoff', async () => {
+      ctx = await setup({});
+      const { adapter, mock } = ctx;
+      adapter.captchaBackoffUntil = Date.now() + 10 * 60 * 1000;
+      const reply = await adapter.connectionTest({ baseUrl: adapter.config.baseUrl, username: 'user', password: 'secret' });
+      expect(reply.error).to.match(/captcha/);
+      expect(mock.state.requests).to.have.length(0);
+    });
+  });
+
+  describe('ICS feed', () => {
+    it('answers bad URLs with 400 and does not list the feeds', async () => {
+      const port = await freePort();
+      ctx = await setup({}, { icsPort: port });
+      const { adapter } = ctx;
+      adapter.icsFiles.set('timetable_anna.ics', 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+      adapter.startIcsServer();
+      await new Promise(resolve => adapter.icsServer.on('listening', resolve));
+
+      try {
+        expect(adapter.icsServer.address().address).to.equal('127.0.0.1');
+
+        const bad = await fetch(`http://127.0.0.1:${port}/%E0%A4%A`);
+        expect(bad.status).to.equal(400);
+
+        const missing = await fetch(`http://127.0.0.1:${port}/nope.ics`);
+        expect(missing.status).to.equal(404);
+        expect(await missing.text()).to.not.contain('anna');
+
+        const ok = await fetch(`http://127.0.0.1:${port}/timetable_anna.ics`);
+        expect(ok.status).to.equal(200);
+        expect(ok.headers.get('content-type')).to.match(/^text\/calendar/);
+      } finally {
+        await new Promise(resolve => adapter.icsServer.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const { expect } = require('chai');
+const { diffModels, isNotifiable, formatEvent } = require('../lib/changes');
+const { parseTtItems } = require('../lib/timetable');
+const { loadFixture } = require('./mockEdupage');
+
+function model(res, today, tomorrow) {
+  const { lessonsByDate, eventsByDate } = parseTtItems(res);
+  const day = date => ({ date, lessons: lessonsByDate.get(date) || [], ferien: eventsByDate.get(date) || '' });
+  return { today: day(today), tomorrow: day(tomorrow) };
+}
+
+// Kopie des Modells, in der fn die Stunden von `date` ändert
+function changed(m, date, fn) {
+  const copy = JSON.parse(JSON.stringify(m));
+  const d = copy.today.date === date ? copy.today : copy.tomorrow;
+  fn(d);
+  return copy;
+}
+
+describe('changes', () => {
+  const prev = model(loadFixture('currenttt-school-a.json'), '2026-10-19', '2026-10-20');
+
+  it('finds nothing when the timetable is the same', () => {
+    expect(diffModels(prev, JSON.parse(JSON.stringify(prev)))).to.deep.equal([]);
+    expect(diffModels(null, prev)).to.deep.equal([]);
+  });
+
+  it('ignores the day rollover', () => {
+    const next = model(loadFixture('currenttt-school-a.json'), '2026-10-20', '2026-10-21');
+    next.tomorrow.lessons = [{ type: 'lesson', date: '2026-10-21', period: '1', start: '08:00', end: '08:45', subject: 'Sport' }];
+    expect(diffModels(prev, next)).to.deep.equal([]);
+  });
+
+  it('reports canceled, substituted, added and removed lessons', () => {
+    const next = changed(prev, '2026-10-20', d => {
+      d.lessons[0].canceled = true; // Englisch 1. Stunde
+      d.lessons[0].changeText = 'Canceled';
+      d.lessons[1].teacher = 'Teacher Two'; // Mathe 5. Stunde
+      d.lessons[1].changeText = 'Substitute: Teacher Two (instead of Teacher One)';
+      d.lessons.splice(2, 1); // Elternabend
+      d.lessons.push({ type: 'lesson', date: '2026-10-20', period: '6', start: '12:30', end: '13:15', subject: 'Sport', classes: '5a' });
+      d.ferien = 'Projekttag';
+    });
+
+    const events = diffModels(prev, next);
+    expect(events.map(e => e.kind).sort()).to.deep.equal(['added', 'changed', 'changed', 'ferien', 'removed']);
+    expect(events.every(e => e.day === 'tomorrow' && e.date === '2026-10-20')).to.equal(true);
+
+    const canceled = events.find(e => e.kind === 'changed' && e.diff.canceled);
+    expect(canceled.diff.canceled).to.deep.equal({ from: false, to: true });
+    expect(canceled.lesson).to.include({ subject: 'Englisch', start: '08:00', classes: '5a', canceled: true });
+
+    const sub = events.find(e => e.kind === 'changed' && e.diff.teacher);
+    expect(sub.diff.teacher).to.deep.equal({ from: 'Teacher One', to: 'Teacher Two' });
+    expect(events.find(e => e.kind === 'removed').lesson.subject).to.equal('Elternabend');
+    expect(events.find(e => e.kind === 'ferien').diff.ferien).to.deep.equal({ from: '', to: 'Projekttag' });
+  });
+
+  it('keeps lessons of different groups apart', () => {
+    const base = changed(prev, '2026-10-20', d => {
+      d.lessons = [
+        { type: 'lesson', date: '2026-10-20', period: '1', start: '08:00', end: '08:45', subject: 'Religion', groups: 'ev', room: 'R1' },
+        { type: 'lesson', date: '2026-10-20', period: '1', start: '08:00', end: '08:45', subject: 'Ethik', groups: 'eth', room: 'R2' },
+      ];
+    });
+    const next = changed(base, '2026-10-20', d => {
+      d.lessons[1].room = 'R3';
+    });
+    const events = diffModels(base, next);
+    expect(events).to.have.length(1);
+    expect(events[0]).to.deep.include({ kind: 'changed', diff: { room: { from: 'R2', to: 'R3' } } });
+  });
+
+  it('notifies only cancellations and substitutions', () => {
+    const next = changed(prev, '2026-10-20', d => {
+      d.lessons[0].canceled = true;
+      d.lessons[1].room = 'R999';
+      d.lessons.push({ type: 'lesson', date: '2026-10-20', period: '6', start: '12:30', end: '13:15', subject: 'Sport', changeText: 'Additional lesson' });
+    });
+    const notify = diffModels(prev, next).filter(isNotifiable);
+    expect(notify.map(e => formatEvent(e))).to.deep.equal(['2026-10-20 08:00-08:45 Englisch: Canceled', '2026-10-20 12:30-13:15 Sport: Additional lesson']);
+  });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+const { expect } = require('chai');
+const { EdupageHttp } = require('../lib/edupageHttp');
+const { EdupageClient } = require('../lib/edupageClient');
+const { createMockEdupage, loadFixture, CURRENTTT_PATHS } = require('./mockEdupage');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+async function setup(opts) {
+  const mock = createMockEdupage(opts);
+  const baseUrl = await mock.start();
+  const http = new EdupageHttp({ baseUrl, log, minInterval: 0 });
+  const client = new EdupageClient({ http, log });
+  return { mock, http, client };
+}
+
+async function login(client, { password = 'secret', ctxt = '' } = {}) {
+  const md = await client.getLoginData();
+  const tok = await client.getToken({ username: 'user', edupage: '' });
+  const res = await client.login({ username: 'user', password, userToken: tok.token, edupage: '', ctxt, gu: md.gu });
+  return { md, res };
+}
+
+const args = [null, { year: 2026, datefrom: '2026-10-19', dateto: '2026-10-20', table: 'students', id: '1234' }];
+
+describe('EdupageClient against mock server', () => {
+  let ctx;
+  afterEach(async () => {
+    if (ctx) await ctx.mock.stop();
+    ctx = null;
+  });
+
+  it('logs in, detects _gsh and loads the timetable', async () => {
+    ctx = await setup({ fixture: loadFixture('currenttt-school-a.json') });
+    const { md, res } = await login(ctx.client);
+    expect(res.status).to.equal('OK');
+
+    const gsh = await ctx.client.getGsh({ guPath: md.gu });
+    expect(gsh).to.equal('abcd1234');
+
+    const tt = await ctx.client.currentttGetData({ args, gsh, guPath: md.gu });
+    expect(tt.r.ttitems).to.be.an('array').that.is.not.empty;
+
+    const post = ctx.mock.state.requests.find(r => r.url === CURRENTTT_PATHS[0]);
+    expect(post.headers.referer).to.match(/\/dashboard\/eb\.php/);
+    expect(post.headers.cookie).to.match(/PHPSESSID=sess1/);
+  });
+
+  it('reads the school year from the timetable page', async () => {
+    ctx = await setup({ schoolYear: 2025 });
+    const { md } = await login(ctx.client);
+    const page = await ctx.client.warmUpTimetable({ guPath: md.gu });
+    expect(ctx.client.extractSchoolYear(page)).to.deep.equal({ year: 2025, turnover: '08-01' });
+    expect(ctx.client.extractSchoolYear('<html></html>')).to.deep.equal({ year: null, turnover: null });
+  });
+
+  it('falls back to other currenttt endpoint variants', async () => {
+    ctx = await setup({ endpoint: CURRENTTT_PATHS[4], fixture: loadFixture('currenttt-school-b.json') });
+    const { md } = await login(ctx.client);
+    const tt = await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(tt.r.ttitems).to.have.length(4);
+    expect(ctx.mock.state.requests.filter(r => CURRENTTT_PATHS.includes(r.url))).to.have.length(5);
+  });
+
+  it('remembers the working variant and probes again when it fails', async () => {
+    ctx = await setup({ endpoint: CURRENTTT_PATHS[4], fixture: loadFixture('currenttt-school-b.json') });
+    const found = [];
+    ctx.client.onEndpoint = (name, path) => found.push([name, path]);
+    const { md } = await login(ctx.client);
+    const ttCalls = () => ctx.mock.state.requests.filter(r => CURRENTTT_PATHS.includes(r.url)).length;
+
+    await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(found).to.deep.equal([['currenttt', CURRENTTT_PATHS[4]]]);
+    expect(ctx.client.endpoints.currenttt).to.equal(CURRENTTT_PATHS[4]);
+
+    await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(ttCalls()).to.equal(6); // 5 beim Proben + 1
+
+    // Schule wechselt die Auslieferung
+    ctx.mock.options.endpoint = CURRENTTT_PATHS[1];
+    await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(found[1]).to.deep.equal(['currenttt', CURRENTTT_PATHS[1]]);
+    expect(ttCalls()).to.equal(9); // gemerkte (404), [0] (404), [1]
+  });
+
+  it('starts with a remembered variant from the last run', async () => {
+    ctx = await setup({ endpoint: CURRENTTT_PATHS[5] });
+    ctx.client.endpoints = { currenttt: CURRENTTT_PATHS[5] };
+    const { md } = await login(ctx.client);
+    await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(ctx.mock.state.requests.filter(r => CURRENTTT_PATHS.includes(r.url)).map(r => r.url)).to.deep.equal([CURRENTTT_PATHS[5]]);
+  });
+
+  it('reports 404 when no endpoint variant exists', async () => {
+    ctx = await setup({ endpoint: null });
+    const { md } = await login(ctx.client);
+    let err;
+    try {
+      await ctx.client.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.message).to.match(/HTTP 404 on POST currenttt endpoint/);
+  });
+
+  it('reports a wrong password', async () => {
+    ctx = await setup();
+    const { res } = await login(ctx.client, { password: 'nope' });
+    expect(res.status).to.equal('FAIL');
+    expect(res.err.error_text).to.equal('Falsches Passwort');
+  });
+
+  it('asks for a captcha and accepts the solved text', async () => {
+    ctx = await setup({ captcha: true });
+    const first = await login(ctx.client);
+    expect(first.res.needCaptcha).to.equal('1');
+
+    const img = await ctx.http.getBinary(first.res.captchaSrc);
+    expect(img.contentType).to.equal('image/png');
+    expect(img.data.length).to.be.greaterThan(0);
+
+    const second = await login(ctx.client, { ctxt: 'x7k2' });
+    expect(second.res.status).to.equal('OK');
+  });
+
+  it('accepts the captcha text only from the session that got the captcha', async () => {
+    ctx = await setup({ captcha: true });
+    await login(ctx.client);
+    ctx.http.clearCookies();
+
+    const other = await login(ctx.client, { ctxt: 'x7k2' });
+    expect(other.res.needCaptcha).to.equal('1');
+    const same = await login(ctx.client, { ctxt: 'x7k2' });
+    expect(same.res.status).to.equal('OK');
+  });
+
+  it('recognises an expired session', async () => {
+    ctx = await setup();
+    const tt = await ctx.client.currentttGetData({ args, gsh: 'abcd1234' });
+    expect(ctx.client.isSessionExpired(tt)).to.equal(true);
+
+    const page = await ctx.client.warmUpTimetable();
+    expect(ctx.client.isSessionExpired(page)).to.equal(true);
+  });
+
+  it('loads the userhome dashboard data', async () => {
+    ctx = await setup({ userhome: loadFixture('userhome-school-a.json') });
+    let err;
+    try {
+      await ctx.client.getUserHome();
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.sessionExpired).to.equal(true);
+
+    await login(ctx.client);
+    const home = await ctx.client.getUserHome();
+    expect(home.items).to.have.length(6);
+  });
+
+  it('loads the grade book for a student', async () => {
+    ctx = await setup({ gradebook: loadFixture('znamky-school-a.json') });
+    await login(ctx.client);
+    const data = await ctx.client.getGradeBook({ studentId: '1234' });
+    expect(data.vsetkyZnamky).to.have.length(5);
+    expect(ctx.mock.state.requests.some(r => r.url === '/znamky/?studentid=1234')).to.equal(true);
+  });
+
+  it('loads the canteen menu', async () => {
+    ctx = await setup({ menu: loadFixture('menu-school-a.json') });
+    await login(ctx.client);
+    const data = await ctx.client.getLunchMenu({ date: '2026-10-19' });
+    expect(data.school.novyListok).to.have.property('2026-10-20');
+    expect(ctx.mock.state.requests.some(r => r.url === '/menu/?date=20261019')).to.equal(true);
+  });
+
+  it('keeps the session in exported cookies', async () => {
+    ctx = await setup({ fixture: loadFixture('currenttt-school-a.json') });
+    const { md } = await login(ctx.client);
+    const cookies = ctx.http.exportCookies();
+
+    const http2 = new EdupageHttp({ baseUrl: ctx.http.baseUrl, log, minInterval: 0 });
+    http2.importCookies(cookies);
+    const client2 = new EdupageClient({ http: http2, log });
+    const tt = await client2.currentttGetData({ args, gsh: 'abcd1234', guPath: md.gu });
+    expect(client2.isSessionExpired(tt)).to.equal(false);
+    expect(ctx.mock.state.logins).to.equal(1);
+  });
+});
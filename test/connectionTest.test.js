@@ -0,0 +1,50 @@
+'use strict';
+
+const { expect } = require('chai');
+const { testConnection, formatResult } = require('../lib/connectionTest');
+const { createMockEdupage, loadFixture, CURRENTTT_PATHS } = require('./mockEdupage');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('connection test', () => {
+  let mock;
+  afterEach(async () => {
+    if (mock) await mock.stop();
+    mock = null;
+  });
+
+  async function run(cfg, opts) {
+    mock = createMockEdupage(opts);
+    const baseUrl = await mock.start();
+    return testConnection({ baseUrl, username: 'user', password: 'secret', timezone: 'UTC', ...cfg }, { log, minInterval: 0, now: new Date('2026-10-19T07:00:00Z') });
+  }
+
+  it('reports gsh, students and the timetable', async () => {
+    const res = await run({}, { fixture: loadFixture('currenttt-school-a.json') });
+    expect(res).to.include({ ok: true, status: 'ok', gsh: 'abcd1234', id: '1234' });
+    expect(res.students).to.deep.equal([{ id: '1234', name: 'Kid One', className: '' }]);
+    expect(res.lessons).to.be.above(0);
+    expect(formatResult(res)).to.contain('_gsh: abcd1234').and.contain('Kid One (1234)');
+  });
+
+  it('detects a wrong password and a captcha', async () => {
+    expect(await run({ password: 'nope' })).to.include({ ok: false, status: 'wrongPassword', message: 'Falsches Passwort' });
+    await mock.stop();
+    expect(await run({ username: 'other' })).to.include({ status: 'wrongPassword' });
+    await mock.stop();
+    const res = await run({}, { captcha: true });
+    expect(res.status).to.equal('captcha');
+    expect(res.captchaUrl).to.match(/^http:\/\/127\.0\.0\.1:\d+\/captcha\/image\.php/);
+  });
+
+  it('reports a missing timetable', async () => {
+    const res = await run({ studentId: '999' }, { endpoint: null });
+    expect(res).to.include({ ok: false, status: 'noTimetable', gsh: 'abcd1234' });
+    expect(mock.state.requests.filter(r => CURRENTTT_PATHS.includes(r.url))).to.have.length(CURRENTTT_PATHS.length);
+  });
+
+  it('checks the form values before any request', async () => {
+    expect(await testConnection({ baseUrl: 'myschool' })).to.include({ status: 'config' });
+    expect(await testConnection({ baseUrl: 'https://myschool.edupage.org', username: 'x' })).to.include({ status: 'config', subdomain: 'myschool' });
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { expect } = require('chai');
+const { zonedNow, addDays, mondayOf, schoolYear, isValidTimeZone, parseDateRange } = require('../lib/dates');
+
+describe('dates', () => {
+  const tz = 'Europe/Berlin';
+
+  it('uses the local day, not the UTC day', () => {
+    // 00:30 in Berlin, UTC is still the day before
+    expect(zonedNow(new Date('2026-10-18T22:30:00Z'), tz)).to.deep.equal({ date: '2026-10-19', time: '00:30' });
+    expect(zonedNow(new Date('2026-10-18T22:30:00Z'), 'UTC').date).to.equal('2026-10-18');
+  });
+
+  it('handles the DST changes', () => {
+    // Sommerzeit: 02:00 -> 03:00
+    expect(zonedNow(new Date('2026-03-29T00:59:00Z'), tz)).to.deep.equal({ date: '2026-03-29', time: '01:59' });
+    expect(zonedNow(new Date('2026-03-29T01:00:00Z'), tz)).to.deep.equal({ date: '2026-03-29', time: '03:00' });
+    // Winterzeit: 03:00 -> 02:00, der Tag bleibt derselbe
+    expect(zonedNow(new Date('2026-10-24T22:30:00Z'), tz)).to.deep.equal({ date: '2026-10-25', time: '00:30' });
+    expect(zonedNow(new Date('2026-10-25T01:30:00Z'), tz)).to.deep.equal({ date: '2026-10-25', time: '02:30' });
+
+    expect(addDays('2026-03-28', 1)).to.equal('2026-03-29');
+    expect(addDays('2026-03-29', 1)).to.equal('2026-03-30');
+    expect(addDays('2026-10-25', -1)).to.equal('2026-10-24');
+    expect(mondayOf('2026-03-29')).to.equal('2026-03-23');
+    expect(mondayOf('2026-10-25')).to.equal('2026-10-19');
+  });
+
+  it('crosses New Year', () => {
+    expect(zonedNow(new Date('2026-12-31T23:30:00Z'), tz)).to.deep.equal({ date: '2027-01-01', time: '00:30' });
+    expect(addDays('2026-12-31', 1)).to.equal('2027-01-01');
+    expect(mondayOf('2027-01-01')).to.equal('2026-12-28');
+    expect(mondayOf('2026-12-28')).to.equal('2026-12-28');
+  });
+
+  it('derives the school year', () => {
+    expect(schoolYear('2027-01-15')).to.equal(2026);
+    expect(schoolYear('2026-07-31')).to.equal(2025);
+    expect(schoolYear('2026-08-01')).to.equal(2026);
+    expect(schoolYear('2026-08-15', { turnover: '09-01' })).to.equal(2025);
+    expect(schoolYear('2027-01-15', { year: 2026 })).to.equal(2026);
+    expect(schoolYear('2027-01-15', { year: null, turnover: null })).to.equal(2026);
+  });
+
+  it('uses the session year only inside that school year', () => {
+    // Sitzung aus dem alten Schuljahr, Abfrage nach dem Wechsel
+    expect(schoolYear('2026-07-31', { year: 2025, turnover: '08-01' })).to.equal(2025);
+    expect(schoolYear('2026-08-01', { year: 2025, turnover: '08-01' })).to.equal(2026);
+    expect(schoolYear('2025-07-31', { year: 2025, turnover: '08-01' })).to.equal(2024);
+    // ohne bekannten Wechsel entscheidet im Sommer die Sitzung
+    expect(schoolYear('2026-08-15', { year: 2025 })).to.equal(2025);
+    expect(schoolYear('2026-10-01', { year: 2025 })).to.equal(2026);
+    expect(schoolYear('2026-06-30', { year: 2026 })).to.equal(2025);
+  });
+
+  it('validates time zones', () => {
+    expect(isValidTimeZone(tz)).to.equal(true);
+    expect(isValidTimeZone('Mars/Base')).to.equal(false);
+    expect(isValidTimeZone('')).to.equal(false);
+  });
+
+  it('parses date ranges from user input', () => {
+    expect(parseDateRange('2026-11-02')).to.deep.equal({ from: '2026-11-02', to: '2026-11-02' });
+    expect(parseDateRange('2026-11-02..2026-11-06')).to.deep.equal({ from: '2026-11-02', to: '2026-11-06' });
+    expect(parseDateRange('2026-11-02 / 2026-11-06')).to.deep.equal({ from: '2026-11-02', to: '2026-11-06' });
+    expect(parseDateRange('{"from":"2026-11-02","to":"2026-11-06"}')).to.deep.equal({ from: '2026-11-02', to: '2026-11-06' });
+    expect(parseDateRange({ from: '2026-11-02', to: '2026-11-06', target: 'anna' })).to.deep.equal({ from: '2026-11-02', to: '2026-11-06' });
+
+    expect(() => parseDateRange('02.11.2026')).to.throw(/YYYY-MM-DD/);
+    expect(() => parseDateRange('2026-02-30')).to.throw(/YYYY-MM-DD/);
+    expect(() => parseDateRange('2026-11-06..2026-11-02')).to.throw(/before/);
+    expect(() => parseDateRange('2026-11-01..2027-01-15')).to.throw(/too long/);
+    expect(() => parseDateRange('{from')).to.throw(/Invalid/);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildEqBody, decodeEqap, decodeEqResponse, requestedEqav } = require('../lib/eqav');
+const { EdupageHttp } = require('../lib/edupageHttp');
+const { EdupageClient } = require('../lib/edupageClient');
+const { createMockEdupage, loadFixture } = require('./mockEdupage');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('eq protocol', () => {
+  it('round-trips zipped and plain eqap', () => {
+    const body = 'rpcparams=%7B%22username%22%3A%22user%22%7D';
+    expect(buildEqBody(body, { eqav: 1 }).eqap).to.match(/^dz:/);
+    expect(decodeEqap(buildEqBody(body, { eqav: 1 }).eqap)).to.equal(body);
+    expect(decodeEqap(buildEqBody(body, { eqav: 2 }).eqap)).to.equal(body);
+  });
+
+  it('decodes eqz responses to JSON', () => {
+    const text = `eqz:${Buffer.from('{"status":"OK"}').toString('base64')}`;
+    expect(decodeEqResponse(text)).to.deep.equal({ status: 'OK' });
+    expect(decodeEqResponse('plain text')).to.equal('plain text');
+  });
+
+  it('reads version requests', () => {
+    expect(requestedEqav('eqav:3')).to.equal(3);
+    expect(requestedEqav({ eqav: 2 })).to.equal(2);
+    expect(requestedEqav({ eqav: 2, status: 'OK' })).to.equal(0);
+  });
+
+  describe('EdupageHttp transport', () => {
+    let mock;
+    afterEach(async () => {
+      if (mock) await mock.stop();
+      mock = null;
+    });
+
+    async function run(opts, transport) {
+      mock = createMockEdupage({ fixture: loadFixture('currenttt-school-b.json'), ...opts });
+      const baseUrl = await mock.start();
+      const http = new EdupageHttp({ baseUrl, log, transport, minInterval: 0 });
+      const client = new EdupageClient({ http, log });
+
+      const md = await client.getLoginData();
+      const tok = await client.getToken({ username: 'user', edupage: '' });
+      const res = await client.login({ username: 'user', password: 'secret', userToken: tok.token, edupage: '', gu: md.gu });
+      const tt = await client.currentttGetData({ args: [null, {}], gsh: 'abcd1234', guPath: md.gu });
+      return { http, res, tt };
+    }
+
+    it('works against an eq-only school', async () => {
+      const { http, res, tt } = await run({ eqOnly: true }, 'eq');
+      expect(res.status).to.equal('OK');
+      expect(tt.r.ttitems).to.have.length(4);
+      expect(http.eqFailed).to.equal(false);
+      expect(mock.state.requests.filter(r => r.method === 'POST').every(r => r.body.startsWith('eqap='))).to.equal(true);
+    });
+
+    it('negotiates eqav', async () => {
+      const { http, tt } = await run({ eqOnly: true, eqavRequired: 2 }, 'eq');
+      expect(http.eqav).to.equal(2);
+      expect(tt.r.ttitems).to.have.length(4);
+    });
+
+    it('falls back to plain when eq is rejected', async () => {
+      const { http, res } = await run({ eqavRequired: 9 }, 'eq');
+      expect(http.eqFailed).to.equal(true);
+      expect(res.status).to.equal('OK');
+    });
+
+    it('keeps eq on outages and tries it again later', async () => {
+      mock = createMockEdupage({ eqOnly: true, failures: Array(2).fill({ url: '/login/', status: 503 }) });
+      const baseUrl = await mock.start();
+      const http = new EdupageHttp({ baseUrl, log, transport: 'eq', minInterval: 0, maxRetries: 1, retryBase: 10 });
+      const getToken = () => http.postForm('/login/?cmd=MainLogin&akcia=getToken', { rpcparams: JSON.stringify({ username: 'user' }) });
+
+      let err;
+      await getToken().catch(e => (err = e));
+      expect(err.status).to.equal(503);
+      expect(http.eqFailed).to.equal(false);
+      expect((await getToken()).token).to.equal('tok-123');
+
+      // abgelehnt -> plain, nach Ablauf wieder eq
+      http.eqFailed = true;
+      http.eqFailedUntil = Date.now() - 1;
+      expect((await getToken()).token).to.equal('tok-123');
+      expect(http.eqFailed).to.equal(false);
+      expect(mock.state.requests.filter(r => r.method === 'POST').every(r => r.body.startsWith('eqap='))).to.equal(true);
+    });
+  });
+});
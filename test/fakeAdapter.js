@@ -0,0 +1,114 @@
+'use strict';
+
+// Minimaler Ersatz für @iobroker/adapter-core, damit main.js ohne js-controller testbar ist
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { EventEmitter } = require('events');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+class FakeAdapter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = options.name;
+    this.namespace = `${options.name}.0`;
+    this.config = {};
+    this.log = quiet;
+    this.states = new Map(); // relative id -> { val, ack }
+    this.objects = new Map();
+    this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edupage-test-'));
+    this.FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu; // wie js-controller
+  }
+
+  rel(id) {
+    return String(id).startsWith(`${this.namespace}.`) ? id.slice(this.namespace.length + 1) : String(id);
+  }
+
+  setState(id, val, ack) {
+    this.states.set(this.rel(id), val && typeof val === 'object' && 'val' in val ? val : { val, ack: !!ack });
+  }
+
+  async setStateAsync(id, val, ack) {
+    this.setState(id, val, ack);
+  }
+
+  async setStateChangedAsync(id, val, ack) {
+    this.setState(id, val, ack);
+  }
+
+  async getStateAsync(id) {
+    return this.states.get(this.rel(id)) || null;
+  }
+
+  async setObjectNotExistsAsync(id, obj) {
+    if (!this.objects.has(this.rel(id))) this.objects.set(this.rel(id), obj);
+  }
+
+  async setForeignObjectNotExistsAsync(id, obj) {
+    if (!this.objects.has(id)) this.objects.set(id, obj);
+  }
+
+  async extendObjectAsync(id, obj) {
+    this.objects.set(this.rel(id), { ...this.objects.get(this.rel(id)), ...obj });
+  }
+
+  async getAdapterObjectsAsync() {
+    return Object.fromEntries([...this.objects].map(([id, o]) => [`${this.namespace}.${id}`, o]));
+  }
+
+  async delObjectAsync(id) {
+    this.objects.delete(this.rel(id));
+    this.states.delete(this.rel(id));
+  }
+
+  subscribeStates() {}
+
+  sendTo(...args) {
+    const cb = args.find(a => typeof a === 'function');
+    if (cb) cb();
+  }
+
+  async sendToAsync() {}
+
+  async writeFileAsync() {}
+
+  cleanup() {
+    fs.rmSync(this.dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Load main.js with the fake adapter-core and create an instance.
+ * Returns the adapter; config is merged into adapter.config.
+ */
+function loadAdapter(config = {}) {
+  const corePath = require.resolve('@iobroker/adapter-core');
+  const fake = new Module(corePath);
+  fake.filename = corePath;
+  fake.loaded = true;
+  fake.exports = {
+    Adapter: FakeAdapter,
+    getAbsoluteInstanceDataDir: adapter => adapter.dataDir,
+  };
+  const prev = require.cache[corePath];
+  const mainPath = require.resolve('../main');
+  require.cache[corePath] = fake;
+  delete require.cache[mainPath];
+  try {
+    const adapter = require('../main')();
+    adapter.config = { ...config };
+    return adapter;
+  } finally {
+    delete require.cache[mainPath];
+    if (prev) require.cache[corePath] = prev;
+    else delete require.cache[corePath];
+  }
+}
+
+module.exports = {
+  loadAdapter,
+  FakeAdapter,
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseGrades, gradesBySubject, numericValue } = require('../lib/grades');
+const { loadFixture } = require('./mockEdupage');
+
+describe('grades', () => {
+  const data = loadFixture('znamky-school-a.json');
+
+  it('reads numeric values', () => {
+    expect(numericValue('2')).to.equal(2);
+    expect(numericValue('1-')).to.equal(1);
+    expect(numericValue('3,5')).to.equal(3.5);
+    expect(numericValue('A')).to.equal(null);
+  });
+
+  it('parses the grade book, newest first, empty grades skipped', () => {
+    const grades = parseGrades(data);
+    expect(grades.map(g => g.id)).to.deep.equal(['g4', 'g3', 'g2', 'g1']);
+    expect(grades[2]).to.include({
+      subject: 'Mathematik',
+      value: '1-',
+      numeric: 1,
+      weight: 2,
+      date: '2026-10-05',
+      title: 'Schulaufgabe',
+      teacher: 'Teacher One',
+    });
+  });
+
+  it('computes weighted averages per subject', () => {
+    const subjects = gradesBySubject(parseGrades(data));
+    const math = subjects.find(s => s.subject === 'Mathematik');
+    expect(math).to.deep.equal({ subject: 'Mathematik', latest: '1-', latestDate: '2026-10-05', average: 1.33, count: 2 });
+
+    const de = subjects.find(s => s.subject === 'Deutsch');
+    expect(de).to.include({ latest: 'A', average: 3.5, count: 2 });
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseAssignments, linkLessons, summarize } = require('../lib/homework');
+const { parseTtItems } = require('../lib/timetable');
+const { loadFixture } = require('./mockEdupage');
+
+describe('homework', () => {
+  const home = loadFixture('userhome-school-a.json');
+
+  it('parses homework and tests of one student', () => {
+    const list = parseAssignments(home, { studentId: '1234' });
+    expect(list.map(a => a.id)).to.deep.equal(['hw-3', 'hw-1', 't-1', 'hw-2', 'hw-5']);
+    expect(list.find(a => a.id === 'hw-1')).to.include({
+      kind: 'homework',
+      subject: 'Deutsch',
+      title: 'Aufsatz',
+      description: 'Seite 12',
+      due: '2026-10-19',
+      teacher: 'Teacher Two',
+      done: false,
+    });
+    expect(list.find(a => a.id === 't-1').kind).to.equal('test');
+    expect(list.find(a => a.id === 'hw-5')).to.include({ subject: 'Mathematik', teacher: 'Teacher One', done: true });
+  });
+
+  it('assigns items by recipient, not by sender', () => {
+    const two = {
+      dbi: {
+        students: {
+          1234: { id: '1234', firstname: 'Kid', lastname: 'One', classid: '-41' },
+          88: { id: '88', firstname: 'Ben', classid: '-42' },
+        },
+      },
+      items: [
+        { itemid: 'a', typ: 'homework', userid: 'Ucitel-21', user: 'Student1234', data: { date: '2026-10-20' } },
+        { itemid: 'b', typ: 'homework', userid: 'Student1234', user: 'Trieda-42', data: { date: '2026-10-20' } },
+        { itemid: 'c', typ: 'homework', userid: 'Ucitel-21', user: 'Trieda-41', data: { date: '2026-10-20' } },
+        { itemid: 'd', typ: 'homework', userid: 'Ucitel-21', data: { date: '2026-10-20' } },
+      ],
+      homeworks: [{ hwkid: 'e', studentid: '88', datum: '2026-10-21' }],
+    };
+    expect(parseAssignments(two, { studentId: '1234' }).map(a => a.id)).to.deep.equal(['a', 'c', 'd']);
+    expect(parseAssignments(two, { studentId: '88' }).map(a => a.id)).to.deep.equal(['b', 'd', 'e']);
+  });
+
+  it('links items to lessons and summarizes', () => {
+    const { lessonsByDate } = parseTtItems(loadFixture('currenttt-school-a.json'));
+    const days = new Map([...lessonsByDate].map(([d, lessons]) => [d, { lessons }]));
+    const list = linkLessons(parseAssignments(home, { studentId: '1234' }), days);
+
+    expect(list.find(a => a.id === 'hw-1').lesson).to.include({ date: '2026-10-19', period: '1', start: '08:00' });
+    expect(list.find(a => a.id === 'hw-2').lesson).to.include({ period: '1' });
+    expect(list.find(a => a.id === 'hw-3').lesson).to.equal(null);
+
+    const sum = summarize(list, { today: '2026-10-19', tomorrow: '2026-10-20' });
+    expect(sum.open).to.equal(2);
+    expect(sum.dueTomorrow).to.equal(1);
+    expect(sum.list.map(a => a.id)).to.deep.equal(['hw-1', 'hw-2', 'hw-5']);
+    expect(sum.upcomingTests.map(a => a.id)).to.deep.equal(['t-1']);
+  });
+});
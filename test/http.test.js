@@ -0,0 +1,91 @@
+'use strict';
+
+const { expect } = require('chai');
+const { EdupageHttp, parseRetryAfter, backoffDelay } = require('../lib/edupageHttp');
+const { EdupageClient } = require('../lib/edupageClient');
+const { createMockEdupage, CURRENTTT_PATHS } = require('./mockEdupage');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('EdupageHttp scheduler', () => {
+  let mock;
+  afterEach(async () => {
+    if (mock) await mock.stop();
+    mock = null;
+  });
+
+  async function setup(mockOpts, httpOpts = {}) {
+    mock = createMockEdupage(mockOpts);
+    const baseUrl = await mock.start();
+    return new EdupageHttp({ baseUrl, log, minInterval: 0, retryBase: 20, ...httpOpts });
+  }
+
+  it('computes Retry-After and jittered backoff', () => {
+    expect(parseRetryAfter('3')).to.equal(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', Date.parse('2026-01-01T00:00:00Z'))).to.equal(10000);
+    expect(parseRetryAfter('soon')).to.equal(null);
+    expect(parseRetryAfter(undefined)).to.equal(null);
+
+    expect(backoffDelay(0, { base: 1000, random: () => 0 })).to.equal(500);
+    expect(backoffDelay(3, { base: 1000, random: () => 1 })).to.equal(8000);
+    expect(backoffDelay(10, { base: 1000, max: 60000, random: () => 1 })).to.equal(60000);
+  });
+
+  it('retries 5xx with backoff and counts requests', async () => {
+    const http = await setup({ failures: [{ url: '/login/', status: 503 }, { url: '/login/', status: 502 }] });
+    const md = await http.get('/login/?cmd=MainLogin&akcia=getData');
+    expect(md.gu).to.be.a('string');
+    expect(http.getStats()).to.include({ requests: 3, errors: 2, retries: 2, lastStatus: 200 });
+  });
+
+  it('honours Retry-After', async () => {
+    const http = await setup({ failures: [{ url: '/login/', status: 429, headers: { 'Retry-After': '1' } }] });
+    await http.get('/login/?cmd=MainLogin&akcia=getData');
+    const [a, b] = mock.state.requests;
+    expect(b.at - a.at).to.be.at.least(950);
+  });
+
+  it('does not repeat login requests', async () => {
+    const http = await setup({ failures: [{ url: '/login/?cmd=MainLogin&akcia=login', status: 503 }, { url: '/login/?cmd=MainLogin&akcia=getToken', status: 503 }] });
+    const client = new EdupageClient({ http, log });
+    let err;
+    await client.login({ username: 'user', password: 'secret', userToken: 'tok-123', edupage: '' }).catch(e => (err = e));
+    expect(err.status).to.equal(503);
+    err = null;
+    await client.getToken({ username: 'user', edupage: '' }).catch(e => (err = e));
+    expect(err.status).to.equal(503);
+    expect(mock.state.requests).to.have.length(2);
+    expect(http.getStats()).to.include({ retries: 0 });
+  });
+
+  it('gives up after maxRetries and does not retry 4xx', async () => {
+    let http = await setup({ failures: Array(5).fill({ url: '/user/', status: 500 }) }, { maxRetries: 2 });
+    let err;
+    await http.get('/user/').catch(e => (err = e));
+    expect(err.status).to.equal(500);
+    expect(mock.state.requests).to.have.length(3);
+    await mock.stop();
+
+    http = await setup({ failures: [{ url: '/user/', status: 403 }] });
+    await http.get('/user/').catch(e => (err = e));
+    expect(err.status).to.equal(403);
+    expect(mock.state.requests).to.have.length(1);
+  });
+
+  it('keeps a minimum interval per host', async () => {
+    const http = await setup({}, { minInterval: 200 });
+    await Promise.all([http.get('/login/?cmd=MainLogin&akcia=getData'), http.get('/login/?cmd=MainLogin&akcia=getData')]);
+    const [a, b] = mock.state.requests;
+    expect(b.at - a.at).to.be.at.least(190);
+    expect(http.getStats().waitedMs).to.be.above(0);
+  });
+
+  it('stops trying currenttt variants on errors other than 404', async () => {
+    const http = await setup({ failures: [{ url: CURRENTTT_PATHS[0], status: 500 }] }, { maxRetries: 0 });
+    const client = new EdupageClient({ http, log });
+    let err;
+    await client.currentttGetData({ args: [null, {}], gsh: 'abcd1234' }).catch(e => (err = e));
+    expect(err.status).to.equal(500);
+    expect(mock.state.requests.filter(r => CURRENTTT_PATHS.includes(r.url))).to.have.length(1);
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildIcs, escapeText, foldLine } = require('../lib/ics');
+const { parseTtItems, buildWeek } = require('../lib/timetable');
+const { loadFixture } = require('./mockEdupage');
+
+describe('ics', () => {
+  const { lessonsByDate, eventsByDate } = parseTtItems(loadFixture('currenttt-school-a.json'));
+  const week = buildWeek(lessonsByDate, eventsByDate, '2026-10-19');
+  const model = { today: week.days.monday, tomorrow: week.days.tuesday, week };
+  const ics = buildIcs(model, { name: 'Kid, 5a', now: Date.parse('2026-10-19T06:00:00Z') });
+  const events = ics.split('BEGIN:VEVENT').slice(1);
+  const unfolded = ics.replace(/\r\n /g, '');
+
+  it('escapes text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).to.equal('a\\,b\\;c\\\\d\\ne');
+    expect(escapeText(null)).to.equal('');
+    expect(ics).to.contain('X-WR-CALNAME:Kid\\, 5a\r\n');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    expect(foldLine('x'.repeat(75))).to.equal('x'.repeat(75));
+
+    const line = `SUMMARY:${'ä'.repeat(60)}`; // 8 + 120 Oktette
+    const parts = foldLine(line).split('\r\n');
+    expect(parts.length).to.be.above(1);
+    expect(Buffer.byteLength(parts[0], 'utf8')).to.be.at.most(75);
+    for (const p of parts.slice(1)) {
+      expect(p[0]).to.equal(' ');
+      expect(Buffer.byteLength(p, 'utf8')).to.be.at.most(75);
+    }
+    expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).to.equal(line);
+
+    for (const l of ics.split('\r\n')) expect(Buffer.byteLength(l, 'utf8'), l).to.be.at.most(75);
+  });
+
+  it('exports lessons with local times and their status', () => {
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).to.equal(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).to.equal(true);
+
+    const deutsch = events.find(e => e.includes('DTSTART:20261019T080000'));
+    expect(deutsch).to.contain('DTEND:20261019T084500').and.contain('SUMMARY:Deutsch').and.contain('LOCATION:R102');
+    expect(deutsch).to.contain('STATUS:CONFIRMED');
+
+    const canceled = events.find(e => e.includes('DTSTART:20261019T104500'));
+    expect(canceled).to.contain('SUMMARY:Englisch').and.contain('STATUS:CANCELLED');
+
+    expect(unfolded).to.contain('Substitute: Teacher One (instead of Teacher Three)\\; Room: R101 (instead of R103)');
+  });
+
+  it('exports holidays as all-day events and timed events once', () => {
+    const allDay = events.filter(e => e.includes('VALUE=DATE'));
+    expect(allDay).to.have.length(1);
+    expect(allDay[0]).to.contain('DTSTART;VALUE=DATE:20261021').and.contain('DTEND;VALUE=DATE:20261022');
+    expect(allDay[0]).to.contain('SUMMARY:Wandertag').and.contain('TRANSP:TRANSPARENT');
+
+    expect(events.filter(e => e.includes('SUMMARY:Elternabend'))).to.have.length(1);
+    expect(events.find(e => e.includes('SUMMARY:Elternabend'))).to.contain('DTSTART:20261020T180000');
+  });
+
+  it('gives lessons of different groups in one period their own UID', () => {
+    const tt = parseTtItems(loadFixture('currenttt-teacher-class.json'), { table: 'teachers' });
+    const w = buildWeek(tt.lessonsByDate, tt.eventsByDate, '2026-10-19');
+    const out = buildIcs({ today: w.days.monday, tomorrow: w.days.tuesday, week: w });
+    const uids = out.match(/^UID:.*$/gm);
+    expect(uids).to.have.length(3);
+    expect(new Set(uids).size).to.equal(uids.length);
+  });
+
+  it('keeps UIDs stable between syncs', () => {
+    const again = buildIcs(model, { name: 'Kid, 5a', now: Date.parse('2026-10-19T07:00:00Z') });
+    const uids = s => s.match(/^UID:.*$/gm);
+    expect(uids(again)).to.deep.equal(uids(ics));
+    expect(new Set(uids(ics)).size).to.equal(events.length);
+  });
+});
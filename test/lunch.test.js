@@ -0,0 +1,25 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseLunchDay, menuText } = require('../lib/lunch');
+const { loadFixture } = require('./mockEdupage');
+
+describe('lunch', () => {
+  const data = loadFixture('menu-school-a.json');
+
+  it('parses the menu and the order of a day', () => {
+    const day = parseLunchDay(data, '2026-10-19');
+    expect(day).to.include({ served: true, from: '11:30', to: '13:30', ordered: true, signedOff: false, choice: 'A' });
+    expect(day.menus).to.have.length(3);
+    expect(day.menus[0]).to.deep.equal({ number: 'Suppe', name: 'Tomatensuppe', allergens: '1, 7', weight: '0,25 l' });
+    expect(menuText(day)).to.equal('Suppe: Tomatensuppe | A: Spaghetti Bolognese | B: Gemüsecurry');
+  });
+
+  it('detects missing orders, sign-offs and days without lunch', () => {
+    expect(parseLunchDay(data, '2026-10-20')).to.include({ served: true, ordered: false, signedOff: false });
+    expect(parseLunchDay(data, '2026-10-21')).to.include({ ordered: false, signedOff: true, choice: '' });
+    expect(parseLunchDay(data, '2026-10-22')).to.include({ served: false, ordered: false });
+    expect(parseLunchDay(data, '2026-10-23').served).to.equal(false);
+    expect(parseLunchDay(data.school, '2026-10-20').menus).to.have.length(2);
+  });
+});
@@ -0,0 +1,22 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseMessages } = require('../lib/messages');
+const { loadFixture } = require('./mockEdupage');
+
+describe('messages', () => {
+  const items = loadFixture('timeline-messages.json');
+
+  it('parses messages newest first and skips other item types', () => {
+    const list = parseMessages(items, { toUrl: u => `https://school.edupage.org${u}` });
+    expect(list.map(m => m.id)).to.deep.equal(['m-2', 'm-1']);
+    expect(list[0]).to.include({ type: 'news', title: 'Schulfest am Samstag', text: 'Schulfest', sender: '' });
+    expect(list[1]).to.include({ sender: 'Teacher One', title: 'Ausflug am Freitag', date: '2026-10-15 09:12:00' });
+    expect(list[1].attachments).to.deep.equal([{ name: 'plan.pdf', url: 'https://school.edupage.org/elearning/file/plan.pdf' }]);
+  });
+
+  it('limits the list', () => {
+    expect(parseMessages(items, { limit: 1 }).map(m => m.id)).to.deep.equal(['m-2']);
+    expect(parseMessages(null)).to.deep.equal([]);
+  });
+});
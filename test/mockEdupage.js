@@ -0,0 +1,224 @@
+'use strict';
+
+// Lokaler Fake-EduPage-Server für Tests (MainLogin RPCs, Timetable-Seite mit _gsh, currenttt)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { decodeEqap } = require('../lib/eqav');
+
+const CURRENTTT_PATHS = [
+  '/timetable/server/currenttt.js?__func=curentttGetData',
+  '/timetable/server/currenttt.js?__func=currentttGetData',
+  '/timetable/server/currenttt.js?_func=currentttGetData',
+  '/timetable/server/currenttt.js?_func=curentttGetData',
+  '/timetable/server/currentttjs?_func=currentttGetData',
+  '/timetable/server/currentttjs?__func=curentttGetData',
+];
+
+// 1x1 PNG
+const CAPTCHA_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/**
+ * Options:
+ *  - username / password: accepted credentials
+ *  - gsh: value embedded in the timetable page and expected in currenttt
+ *  - endpoint: the currenttt variant that answers (others 404), null = all 404
+ *  - captcha: login asks for a captcha until ctxt === captchaText, sent with the PHPSESSID that got the captcha
+ *  - fixture: currenttt response (object)
+ *  - userid: EduPage user id returned after login
+ *  - userhome: object served as userhome({...}) on /user/
+ *  - gradebook: object served as .znamkyStudentViewer({...}) on /znamky/
+ *  - menu: object served as edupageData: {...} on /menu/
+ *  - schoolYear: school year embedded in the dashboard page
+ *  - failures: [{ url, status, headers }] answered once each (in order) for requests starting with url
+ *  - eqOnly: plain POSTs are rejected (403), only the eq wrapper is accepted
+ *  - eqavRequired: answer "eqav:<n>" until the client uses this version
+ */
+function createMockEdupage(opts = {}) {
+  const o = {
+    username: 'user',
+    password: 'secret',
+    gsh: 'abcd1234',
+    endpoint: CURRENTTT_PATHS[0],
+    captcha: false,
+    captchaText: 'x7k2',
+    fixture: { r: { ttitems: [] } },
+    userid: 'Student1234',
+    userhome: { items: [] },
+    gradebook: { vsetkyZnamky: [] },
+    menu: {},
+    schoolYear: 2026,
+    failures: [],
+    ...opts,
+  };
+
+  const state = {
+    requests: [],
+    sessions: new Set(),
+    logins: 0,
+    captchaSid: null, // Session, zu der das letzte Captcha gehört
+  };
+
+  const readBody = req =>
+    new Promise(resolve => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+
+  const cookieSid = req => String(req.headers.cookie || '').match(/PHPSESSID=([^;]+)/)?.[1] || null;
+
+  const sessionOf = req => {
+    const m = String(req.headers.cookie || '').match(/PHPSESSID=([^;]+)/);
+    return m && state.sessions.has(m[1]) ? m[1] : null;
+  };
+
+  const json = (res, code, data, headers = {}) => {
+    res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    const text = JSON.stringify(data);
+    res.end(res.eq?.eqaz ? `eqz:${Buffer.from(text, 'utf8').toString('base64')}` : text);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let body = await readBody(req);
+    let url = req.url || '/';
+    state.requests.push({ method: req.method, url, body, headers: req.headers, at: Date.now() });
+
+    const fail = o.failures.findIndex(f => url.startsWith(f.url));
+    if (fail >= 0) {
+      const f = o.failures.splice(fail, 1)[0];
+      res.writeHead(f.status, { 'Content-Type': 'text/plain', ...(f.headers || {}) });
+      return res.end(`HTTP ${f.status}`);
+    }
+
+    // eq-Wrapper auspacken, Antwort später als "eqz:" + base64
+    let eq = null;
+    if (req.method === 'POST') {
+      const form = new URLSearchParams(body);
+      if (form.has('eqap')) {
+        const u = new URL(url, 'http://x');
+        eq = { eqav: Number(u.searchParams.get('eqav')), eqaz: form.get('eqaz') === '1' };
+        u.searchParams.delete('eqav');
+        u.searchParams.delete('maxEqav');
+        url = u.pathname + (u.search ? decodeURIComponent(u.search) : '');
+        body = decodeEqap(form.get('eqap'));
+        res.eq = eq;
+        if (o.eqavRequired && eq.eqav !== o.eqavRequired) {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          return res.end(`eqav:${o.eqavRequired}`);
+        }
+      } else if (o.eqOnly) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        return res.end('eq required');
+      }
+    }
+
+    const rpc = () => {
+      const p = new URLSearchParams(body).get('rpcparams');
+      return p ? JSON.parse(p) : {};
+    };
+
+    if (url === '/login/?cmd=MainLogin&akcia=getData') {
+      return json(res, 200, { gu: '/dashboard/eb.php?eqa=bW9kZT10aW1ldGFibGU%3D', tu: null, au: null });
+    }
+
+    if (url === '/login/?cmd=MainLogin&akcia=getToken' && req.method === 'POST') {
+      const p = rpc();
+      if (p.username !== o.username) return json(res, 200, { status: 'FAIL', err: { error_text: 'Unknown user' } });
+      return json(res, 200, { status: 'OK', token: 'tok-123' });
+    }
+
+    if (url === '/login/?cmd=MainLogin&akcia=login' && req.method === 'POST') {
+      const p = rpc();
+      const sid = cookieSid(req);
+      if (o.captcha && (p.ctxt !== o.captchaText || !sid || sid !== state.captchaSid)) {
+        // wie EduPage: das Captcha gilt nur für die Session, die es angefordert hat
+        state.captchaSid = sid || `anon${state.requests.length}`;
+        const headers = sid ? {} : { 'Set-Cookie': `PHPSESSID=${state.captchaSid}; Path=/` };
+        return json(res, 200, {
+          status: 'FAIL',
+          needCaptcha: '1',
+          captchaSrc: '/captcha/image.php?c=1',
+          err: { error_text: 'Verdächtige Aktivität. Bitte Text aus dem Bild eingeben.' },
+        }, headers);
+      }
+      if (p.password !== o.password || p.userToken !== 'tok-123') {
+        return json(res, 200, { status: 'FAIL', err: { error_text: 'Falsches Passwort' } });
+      }
+      state.logins++;
+      const newSid = `sess${state.logins}`;
+      state.sessions.add(newSid);
+      return json(res, 200, { status: 'OK', userid: o.userid }, { 'Set-Cookie': `PHPSESSID=${newSid}; Path=/` });
+    }
+
+    if (url.startsWith('/captcha/')) {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(CAPTCHA_PNG);
+    }
+
+    if (url.startsWith('/dashboard/eb.php')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      if (!sessionOf(req)) return res.end('<html><form action="/login/?cmd=MainLogin"><input name="password"></form></html>');
+      return res.end(
+        `<html><script>var _gsh = "${o.gsh}";\n` +
+          `ASC.req_props = {"dp":{"year":${o.schoolYear}},"schoolyear_turnover":"08-01"};\n` +
+          `userhome({"userid":"${o.userid}","userrow":{"firstname":"Kid","lastname":"One"}});</script></html>`
+      );
+    }
+
+    if (url === '/user/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      if (!sessionOf(req)) return res.end('<html><form action="/login/?cmd=MainLogin"><input name="password"></form></html>');
+      return res.end(`<html><script>$j(function() { userhome(${JSON.stringify(o.userhome)}, {}); });</script></html>`);
+    }
+
+    if (url.startsWith('/znamky/')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      if (!sessionOf(req)) return res.end('<html><form action="/login/?cmd=MainLogin"><input name="password"></form></html>');
+      return res.end(`<html><script>$j(function() { $j('#x').znamkyStudentViewer(${JSON.stringify(o.gradebook)});\n});</script></html>`);
+    }
+
+    if (url.startsWith('/menu/')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      if (!sessionOf(req)) return res.end('<html><form action="/login/?cmd=MainLogin"><input name="password"></form></html>');
+      return res.end(`<html><script>$j(function() { init({\r\n  edupageData: ${JSON.stringify(o.menu)},\r\n  lang: "de"\r\n}); });</script></html>`);
+    }
+
+    if (CURRENTTT_PATHS.includes(url) && req.method === 'POST') {
+      if (url !== o.endpoint) return json(res, 404, { error: 'not found' });
+      if (!sessionOf(req)) return json(res, 200, { r: { error: 'Not logged in', reload: true } });
+      const payload = JSON.parse(body || '{}');
+      if (payload._gsh !== o.gsh) return json(res, 200, { r: { error: 'Invalid _gsh' } });
+      return json(res, 200, o.fixture);
+    }
+
+    json(res, 404, { error: 'not found' });
+  });
+
+  return {
+    state,
+    options: o,
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    async stop() {
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  createMockEdupage,
+  loadFixture,
+  CURRENTTT_PATHS,
+};
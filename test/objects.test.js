@@ -0,0 +1,88 @@
+'use strict';
+
+const { expect } = require('chai');
+const { roleFor, isOrphan, slotCounts } = require('../lib/objects');
+
+describe('objects', () => {
+  it('derives roles from id and type', () => {
+    expect(roleFor('today.lessons.0.exists', 'boolean')).to.equal('indicator');
+    expect(roleFor('today.lessons.0.date', 'string')).to.equal('date');
+    expect(roleFor('week.dateFrom', 'string')).to.equal('date');
+    expect(roleFor('today.lessons.0.start', 'string')).to.equal('text');
+    expect(roleFor('tomorrow.firstStart', 'string')).to.equal('text');
+    expect(roleFor('meta.lastSync', 'number')).to.equal('value.time');
+    expect(roleFor('students.a.custom.lastFetch', 'number')).to.equal('value.time');
+    expect(roleFor('now.minutesUntilNext', 'number')).to.equal('value');
+    expect(roleFor('homework.json', 'string')).to.equal('json');
+    expect(roleFor('week.html', 'string')).to.equal('html');
+    expect(roleFor('students.a.grades.latest', 'string')).to.equal('json');
+    expect(roleFor('grades.Mathe.latest', 'string')).to.equal('text');
+    expect(roleFor('meta.captchaUrl', 'string')).to.equal('text.url');
+    expect(roleFor('today.lessons.0.subject', 'string')).to.equal('text');
+  });
+
+  describe('orphans', () => {
+    const ctx = {
+      targets: [{ prefix: 'students.anna.', type: 'student' }, { prefix: 'teachers.me.', type: 'teacher' }],
+      weekView: true,
+      nextWeek: false,
+      maxLessons: 8,
+      homework: true,
+      grades: false,
+      lunch: false,
+      messages: true,
+    };
+
+    it('keeps current objects', () => {
+      for (const id of [
+        'info.connection',
+        'meta.lastSync',
+        'students',
+        'students.anna',
+        'students.anna.today.lessons.7.subject',
+        'students.anna.week.monday.lessons.0.exists',
+        'students.anna.homework.json',
+        'teachers.me.today.date',
+        'messages.unread',
+        'students.anna.custom.json',
+        'control.refresh',
+        'other.today.json', // unbekannt
+      ]) {
+        expect(isOrphan(id, ctx), id).to.equal(false);
+      }
+    });
+
+    it('finds leftovers of older configurations', () => {
+      for (const id of [
+        'today.lessons.0.subject', // früher einzelner Schüler im Root
+        'next.when',
+        'students.ben',
+        'students.ben.today.date',
+        'rooms',
+        'students.anna.today.lessons.8.subject',
+        'students.anna.nextWeek.dateFrom',
+        'students.anna.grades.latest',
+        'teachers.me.homework.json',
+        'lunch.today.menu',
+        'custom.json',
+      ]) {
+        expect(isOrphan(id, ctx), id).to.equal(true);
+      }
+    });
+  });
+
+  it('counts existing lesson slots', () => {
+    const counts = slotCounts([
+      'today.lessons.0.exists',
+      'today.lessons.1.exists',
+      'today.lessons.3.exists',
+      'students.a.week.monday.lessons.1.exists',
+      'today.date',
+    ]);
+    // Lücke bei 2 bzw. 0 -> ab dort neu anlegen
+    expect([...counts]).to.deep.equal([
+      ['today.lessons', 2],
+      ['students.a.week.monday.lessons', 0],
+    ]);
+  });
+});
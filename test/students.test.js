@@ -0,0 +1,31 @@
+'use strict';
+
+const { expect } = require('chai');
+const { findStudents } = require('../lib/students');
+const { loadFixture } = require('./mockEdupage');
+
+describe('students', () => {
+  // hw-4 in der Timeline gehört zu Student5555, das ist kein Kind dieses Kontos
+  it('finds the children of a parent account in the dashboard data', () => {
+    expect(findStudents(loadFixture('userhome-school-a.json'))).to.deep.equal([{ id: '1234', name: 'Kid One', className: '5a' }]);
+  });
+
+  it('reads a student login from the page HTML', () => {
+    const html = '<script>userhome({"userid":"Student77","userrow":{"firstname":"Ann","lastname":"Lee"}});</script>';
+    expect(findStudents(html)).to.deep.equal([{ id: '77', name: 'Ann Lee', className: '' }]);
+  });
+
+  it('merges several sources without duplicates', () => {
+    const login = { status: 'OK', userid: 'Rodic5', children: [{ id: 'Student1234' }, { studentid: '88', firstname: 'Ben', trieda: '7b' }] };
+    const home = loadFixture('userhome-school-a.json');
+    const found = findStudents(login, home);
+    expect(found).to.deep.equal([
+      { id: '1234', name: 'Kid One', className: '5a' },
+      { id: '88', name: 'Ben', className: '7b' },
+    ]);
+  });
+
+  it('ignores teachers, parents and unrelated ids', () => {
+    expect(findStudents({ userid: 'Ucitel42' }, { userid: 'Rodic5' }, null, 'no data', { items: [{ userid: 'Studentx' }] })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseTtItems, listSubstitutions, buildWeek, daySummary, currentStatus } = require('../lib/timetable');
+const { loadFixture } = require('./mockEdupage');
+
+function dayModel(res, today, tomorrow) {
+  const { lessonsByDate, eventsByDate } = parseTtItems(res);
+  return {
+    today: { date: today, lessons: lessonsByDate.get(today) || [], ferien: eventsByDate.get(today) || '' },
+    tomorrow: { date: tomorrow, lessons: lessonsByDate.get(tomorrow) || [], ferien: eventsByDate.get(tomorrow) || '' },
+  };
+}
+
+describe('timetable parser', () => {
+  describe('school A (dbiAccessorRes tables, separate orig items)', () => {
+    const res = loadFixture('currenttt-school-a.json');
+
+    it('resolves names and maps periods to times, sorted', () => {
+      const { lessonsByDate } = parseTtItems(res);
+      const mon = lessonsByDate.get('2026-10-19');
+
+      expect(mon.map(l => l.start)).to.deep.equal(['08:00', '08:50', '09:55', '10:45']);
+      expect(mon[0]).to.include({
+        type: 'lesson',
+        period: '1',
+        end: '08:45',
+        subject: 'Deutsch',
+        subjectShort: 'D',
+        teacher: 'Teacher Two',
+        room: 'R102',
+        classes: '5a',
+        color: '#FFC080',
+      });
+    });
+
+    it('detects substitute teacher, room change, cancellation and additional lesson', () => {
+      const { lessonsByDate } = parseTtItems(res);
+      const mon = lessonsByDate.get('2026-10-19');
+
+      expect(mon[0].changed).to.equal(false);
+      expect(mon[2].changes.map(c => c.kind)).to.deep.equal(['teacher', 'room']);
+      expect(mon[2].changeText).to.equal('Substitute: Teacher One (instead of Teacher Three); Room: R101 (instead of R103)');
+
+      expect(mon[3]).to.include({ subject: 'Englisch', canceled: true, changed: true, changeText: 'Canceled' });
+
+      const tue = lessonsByDate.get('2026-10-20');
+      const added = tue.find(l => l.period === '5');
+      expect(added.changes.map(c => c.kind)).to.deep.equal(['added']);
+    });
+
+    it('keeps all-day events as ferien and timed events as slots', () => {
+      const { lessonsByDate, eventsByDate } = parseTtItems(res);
+      expect(eventsByDate.get('2026-10-21')).to.equal('Wandertag');
+      expect(lessonsByDate.has('2026-10-21')).to.equal(false);
+
+      const ev = lessonsByDate.get('2026-10-20').find(l => l.type === 'event');
+      expect(ev).to.include({ subject: 'Elternabend', start: '18:00', end: '19:30' });
+      expect(eventsByDate.get('2026-10-20')).to.equal(undefined);
+    });
+
+    it('lists substitutions per day', () => {
+      const m = dayModel(res, '2026-10-19', '2026-10-20');
+      const subs = listSubstitutions(m.today.lessons);
+      expect(subs).to.have.length(2);
+      expect(subs[1]).to.include({ subject: 'Englisch', canceled: true });
+      expect(subs[1].kinds).to.deep.equal(['canceled']);
+    });
+
+    it('knows the current lesson, breaks and the day summary', () => {
+      const m = dayModel(res, '2026-10-19', '2026-10-20');
+
+      expect(daySummary(m.today)).to.deep.equal({ isSchoolDay: true, firstStart: '08:00', lastEnd: '10:40' });
+      expect(daySummary(m.tomorrow)).to.include({ firstStart: '08:00', lastEnd: '12:25' });
+      expect(daySummary(undefined).isSchoolDay).to.equal(false);
+
+      const early = currentStatus(m, '2026-10-19', '07:30');
+      expect(early).to.include({ inLesson: false, isBreak: false, minutesUntilNext: 30 });
+
+      const inLesson = currentStatus(m, '2026-10-19', '08:10');
+      expect(inLesson).to.include({ inLesson: true, minutesUntilNext: 40 });
+      expect(inLesson.lesson).to.include({ subject: 'Deutsch', start: '08:00' });
+
+      const pause = currentStatus(m, '2026-10-19', '09:40');
+      expect(pause).to.include({ inLesson: false, isBreak: true, minutesUntilNext: 15 });
+      expect(pause.next.subject).to.equal('Mathematik');
+
+      // nach der letzten Stunde (Englisch entfällt): bis morgen 08:00
+      const after = currentStatus(m, '2026-10-19', '10:50');
+      expect(after).to.include({ inLesson: false, isBreak: false, nextDate: '2026-10-20', minutesUntilNext: 1270 });
+
+      // nach Mitternacht, ohne neuen Sync: "morgen" ist jetzt heute
+      expect(currentStatus(m, '2026-10-20', '07:00')).to.include({ nextDate: '2026-10-20', minutesUntilNext: 60 });
+      expect(currentStatus(m, '2026-10-21', '07:00')).to.include({ next: null, minutesUntilNext: null });
+    });
+
+    it('builds a week from Monday', () => {
+      const { lessonsByDate, eventsByDate } = parseTtItems(res);
+      const w = buildWeek(lessonsByDate, eventsByDate, '2026-10-19');
+      expect(w.dateTo).to.equal('2026-10-25');
+      expect(w.days.wednesday).to.include({ date: '2026-10-21', ferien: 'Wandertag' });
+      expect(w.days.monday.lessons).to.have.length(4);
+    });
+  });
+
+  describe('school B (dbi object, embedded origdata, removed flag)', () => {
+    const res = loadFixture('currenttt-school-b.json');
+
+    it('uses item times and plain dbi lookups', () => {
+      const { lessonsByDate } = parseTtItems(res);
+      const mon = lessonsByDate.get('2026-10-19');
+      expect(mon.map(l => l.subject)).to.deep.equal(['Physik', 'Biologie', 'Biologie']);
+      expect(mon[1]).to.include({ start: '09:00', teacher: 'AB', room: 'Labor', classes: '7b', changed: false });
+    });
+
+    it('diffs against embedded origdata and honours removed', () => {
+      const { lessonsByDate, eventsByDate } = parseTtItems(res);
+      const mon = lessonsByDate.get('2026-10-19');
+      expect(mon[0].changeText).to.equal('Substitute: CD (instead of AB); Room: H2 (instead of Labor)');
+      expect(mon[2]).to.include({ canceled: true, changeText: 'Canceled' });
+      expect(eventsByDate.get('2026-10-20')).to.equal('Herbstferien');
+    });
+  });
+
+  it('copes with empty or broken responses', () => {
+    for (const res of [null, {}, { r: {} }, { r: { ttitems: 'x' } }, 'html']) {
+      const { lessonsByDate, eventsByDate } = parseTtItems(res);
+      expect(lessonsByDate.size).to.equal(0);
+      expect(eventsByDate.size).to.equal(0);
+    }
+  });
+
+  describe('teacher, class and room timetables', () => {
+    const res = loadFixture('currenttt-teacher-class.json');
+
+    it('shows the class column for teachers and the teacher column for classes', () => {
+      const teacher = parseTtItems(res, { table: 'teachers' }).lessonsByDate.get('2026-10-19');
+      expect(teacher.map(l => l.info)).to.deep.equal(['5a Gruppe 1', '5a Gruppe 2', '5a, 5b']);
+
+      const cls = parseTtItems(res, { table: 'classes' }).lessonsByDate.get('2026-10-19');
+      expect(cls.map(l => l.info)).to.deep.equal(['Anna Alt – Gruppe 1', 'BE – Gruppe 2', 'Anna Alt']);
+
+      const room = parseTtItems(res, { table: 'classrooms' }).lessonsByDate.get('2026-10-19');
+      expect(room[2].info).to.equal('5a, 5b – Anna Alt');
+    });
+
+    it('keeps split groups apart and reports class changes for teachers', () => {
+      const teacher = parseTtItems(res, { table: 'teachers' }).lessonsByDate.get('2026-10-19');
+      expect(teacher).to.have.length(3);
+      expect(teacher[0]).to.include({ groups: 'Gruppe 1', changed: true, changeText: 'Class: 5a (instead of 5b)' });
+      expect(teacher[1].changed).to.equal(false);
+
+      // im Schülerplan ist die Klasse kein Änderungsgrund
+      const student = parseTtItems(res).lessonsByDate.get('2026-10-19');
+      expect(student[0]).to.include({ info: 'Anna Alt', changed: false });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { expect } = require('chai');
+const { dayJson, weekJson, rangeJson, dayHtml, weekHtml } = require('../lib/widgets');
+const { parseTtItems, buildWeek, buildRange } = require('../lib/timetable');
+const { loadFixture } = require('./mockEdupage');
+
+describe('widgets', () => {
+  const { lessonsByDate, eventsByDate } = parseTtItems(loadFixture('currenttt-school-a.json'));
+  const week = buildWeek(lessonsByDate, eventsByDate, '2026-10-19');
+  const monday = week.days.monday;
+
+  it('builds the day and week JSON', () => {
+    const d = dayJson(monday);
+    expect(d).to.include({ schema: 1, date: '2026-10-19', isSchoolDay: true });
+    expect(d.lessons).to.have.length(4);
+    expect(d.lessons[0]).to.have.all.keys(
+      'type', 'period', 'start', 'end', 'subject', 'subjectShort', 'teacher', 'room',
+      'classes', 'groups', 'info', 'color', 'changed', 'canceled', 'changeText'
+    );
+    expect(d.lessons[3]).to.include({ subject: 'Englisch', canceled: true });
+
+    const w = weekJson(week);
+    expect(w).to.include({ schema: 1, dateFrom: '2026-10-19', dateTo: '2026-10-25' });
+    expect(w.days.map(x => x.weekday)).to.have.length(7);
+    expect(w.days[2]).to.include({ weekday: 'wednesday', ferien: 'Wandertag' });
+    expect(w.days[0]).to.not.have.property('schema');
+  });
+
+  it('renders the day table with struck-through and highlighted lessons', () => {
+    const html = dayHtml(monday);
+    expect(html).to.match(/^<table class="edu-tt">/);
+    expect(html).to.contain('<tr class="edu-canceled"><td>4. 10:45–11:30</td><td><div><s>Englisch</s>');
+    expect(html).to.contain('<tr class="edu-changed">');
+    expect(html).to.contain('background:#fff3cd');
+    expect(html).to.contain('border-left:4px solid #FFC080');
+  });
+
+  it('uses configured classes and can leave out inline styles', () => {
+    const html = dayHtml(monday, { classes: { table: 'my-tt', canceled: 'gone', changed: '"><script>' }, inline: false });
+    expect(html).to.match(/^<table class="my-tt">/);
+    expect(html).to.contain('<tr class="gone">');
+    expect(html).to.contain('<tr class="edu-changed">'); // ungültige Klasse ignoriert
+    expect(html).to.not.contain('#fff3cd');
+  });
+
+  it('renders the week as a grid and escapes text', () => {
+    const html = weekHtml(week);
+    expect(html).to.contain('<th>Mo 19.10.</th>');
+    expect(html).to.not.contain('<th>Sa');
+    expect(html).to.contain('<tr class="edu-ferien">');
+    expect(html.match(/<tr>/g)).to.have.length(7); // Kopf + 6 Zeiten
+
+    const evil = { date: '2026-10-19', lessons: [{ type: 'lesson', start: '08:00', end: '08:45', subject: '<b>x</b>', color: 'red;x:y' }] };
+    const out = dayHtml(evil);
+    expect(out).to.contain('&lt;b&gt;x&lt;/b&gt;');
+    expect(out).to.not.contain('red;x:y');
+  });
+
+  it('builds JSON for any date range', () => {
+    const days = buildRange(lessonsByDate, eventsByDate, '2026-10-18', '2026-10-20');
+    const json = rangeJson(days, '2026-10-18', '2026-10-20');
+    expect(json.dateFrom).to.equal('2026-10-18');
+    expect(json.dateTo).to.equal('2026-10-20');
+    expect(json.days.map(d => d.date)).to.deep.equal(['2026-10-18', '2026-10-19', '2026-10-20']);
+    expect(json.days[0].lessons).to.deep.equal([]);
+    expect(json.days[1].lessons).to.deep.equal(weekJson(week).days[0].lessons);
+    expect(json.days[1]).to.not.have.property('schema');
+  });
+});